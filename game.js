@@ -1,56 +1,343 @@
+// Simulation core (simulation.js)
+const {
+    FIXED_TIMESTEP,
+    OBSTACLE_SCALE,
+    OBSTACLE_SHAPES,
+    CONTROL_MODES,
+    RULE_PRESET_NAMES,
+    DIVIDER_HALF_THICKNESS,
+    getTunnelSection,
+    getWallDistance,
+    createRandom,
+    createRules,
+    createSimulation,
+    stepSimulation,
+    parseSeed
+} = TunnelSimulation;
+
 // Game variables
 let canvas, gl;
+let contextLost = false; // Between webglcontextlost and a successful restore
 let shaderProgram, ssaoProgram;
+let normalDepthProgram, ssaoBlurProgram, compositeProgram;
+let instancedShaderProgram = null, instancedNormalDepthProgram = null; // Obstacle variants, see renderObstacles()
+let instancing = null; // ANGLE_instanced_arrays, when the device has it
 let audioContext;
 let gameState = {
-    life: 100,
-    score: 0,
-    speed: 0.02,
-    playerY: 0,
-    playerVelocity: 0,
     gameRunning: false,
     showTitle: true,
-    time: 0,
     waitingForRestart: false,
-    gameOverTime: 0
+    gameOverTime: 0,
+    paused: false,
+    resumeAt: null, // Timestamp the resume countdown ends, null when not counting down
+    enteringInitials: false // Game over is waiting on leaderboard initials
+};
+
+// Current run; replaced with a freshly seeded one when a game starts
+let simState = createSimulation(0);
+
+// Simulation event listeners by event type (wallHit, obstacleHit, gameOver)
+const simulationListeners = {};
+
+// Rules the Custom preset lets the player change, with each slider's range. Stored
+// custom rules are limited to these fields and ranges when settings are validated.
+const CUSTOM_RULE_FIELDS = [
+    { key: 'wallDamage', label: 'ruleWallDamage', min: 0, max: 50, step: 1 },
+    { key: 'obstacleDamage', label: 'ruleObstacleDamage', min: 0, max: 100, step: 1 },
+    { key: 'startSpeed', label: 'ruleStartSpeed', min: 0.01, max: 0.05, step: 0.001 },
+    { key: 'speedGain', label: 'ruleSpeedGain', min: 0, max: 0.00005, step: 0.000001 },
+    { key: 'obstacleSpawnRate', label: 'ruleObstacleSpawnRate', min: 0.001, max: 0.03, step: 0.001 },
+    { key: 'pickupSpawnRate', label: 'rulePickupSpawnRate', min: 0, max: 0.01, step: 0.0005 }
+];
+
+// Settings
+// Every player preference lives in one versioned localStorage record. The game reads
+// settings.<name> directly; changes go through setSetting(), which validates and saves
+// them. Names, defaults and allowed values are in SETTINGS_SCHEMA.
+const SETTINGS_KEY = 'settings';
+const SETTINGS_VERSION = 1;
+const SETTINGS_SCHEMA = {
+    controlMode: { default: 'oneKey', values: CONTROL_MODES },
+    rulesPreset: { default: 'normal', values: RULE_PRESET_NAMES },
+    customRules: { default: {}, fields: CUSTOM_RULE_FIELDS }, // Overrides of Normal for the custom preset
+    ssaoQuality: { default: 'high', values: ['off', 'low', 'high'] },
+    shadows: { default: true },
+    wallPattern: { default: 'cycle', values: ['cycle', 'hex', 'circuit', 'grid', 'rings'] }, // 'cycle' changes with distance
+    dynamicResolution: { default: true },
+    retroPixels: { default: false },
+    bloom: { default: true },
+    crtScanlines: { default: false },
+    crtCurvature: { default: false },
+    chromaticAberration: { default: false },
+    language: { default: 'auto', values: ['auto', 'en', 'ja'] }, // 'auto' follows the browser
+    masterVolume: { default: 0.8, min: 0, max: 1 },
+    musicVolume: { default: 0.7, min: 0, max: 1 },
+    sfxVolume: { default: 1, min: 0, max: 1 },
+    uiVolume: { default: 1, min: 0, max: 1 },
+    muted: { default: false },
+    reducedFlash: { default: false },
+    colorblind: { default: false },
+    highContrastHud: { default: false }
 };
 
+const settings = loadSettings();
+
+// Stored value if it fits the schema, otherwise the default
+function validateSetting(name, value) {
+    const schema = SETTINGS_SCHEMA[name];
+    if (schema.values) {
+        return schema.values.includes(value) ? value : schema.default;
+    }
+    if (typeof schema.default === 'number') {
+        return typeof value === 'number' && !isNaN(value)
+            ? Math.min(schema.max, Math.max(schema.min, value)) : schema.default;
+    }
+    if (typeof schema.default === 'boolean') {
+        return typeof value === 'boolean' ? value : schema.default;
+    }
+    if (schema.fields) {
+        // Known fields only, each clamped to its range
+        const result = {};
+        if (value && typeof value === 'object') {
+            schema.fields.forEach(field => {
+                const fieldValue = value[field.key];
+                if (typeof fieldValue === 'number' && !isNaN(fieldValue)) {
+                    result[field.key] = Math.min(field.max, Math.max(field.min, fieldValue));
+                }
+            });
+        }
+        return result;
+    }
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : Object.assign({}, schema.default);
+}
+
+// Version 0: before the settings record each feature saved its own keys
+function readLegacySettings() {
+    const readJSON = (key) => {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || {};
+        } catch (error) {
+            return {};
+        }
+    };
+    const audio = readJSON('audioSettings');
+    const accessibility = readJSON('accessibilitySettings');
+    
+    return {
+        version: 0,
+        controlMode: localStorage.getItem('controlMode'),
+        rulesPreset: localStorage.getItem('rulesPreset'),
+        customRules: readJSON('customRules'),
+        ssaoQuality: localStorage.getItem('ssaoQuality'),
+        language: localStorage.getItem('language'),
+        masterVolume: audio.master,
+        musicVolume: audio.music,
+        sfxVolume: audio.sfx,
+        uiVolume: audio.ui,
+        muted: audio.muted,
+        reducedFlash: accessibility.reducedFlash,
+        colorblind: accessibility.colorblind,
+        highContrastHud: accessibility.highContrastHud
+    };
+}
+
+// Read the stored settings, migrating older versions; anything missing or invalid gets its default
+function loadSettings() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable settings:', error);
+    }
+    
+    if (!data || typeof data.version !== 'number') {
+        data = readLegacySettings();
+    }
+    const migrating = data.version < SETTINGS_VERSION;
+    // Later versions migrate here, one step at a time: if (data.version === 1) { ... }
+    
+    const loaded = { version: SETTINGS_VERSION };
+    Object.keys(SETTINGS_SCHEMA).forEach(name => {
+        loaded[name] = validateSetting(name, data[name]);
+    });
+    
+    if (migrating) {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(loaded));
+        ['controlMode', 'rulesPreset', 'customRules', 'ssaoQuality', 'language', 'audioSettings', 'accessibilitySettings']
+            .forEach(key => localStorage.removeItem(key));
+    }
+    return loaded;
+}
+
+// Store one setting; callers apply the change themselves (see the setters next to each feature)
+function setSetting(name, value) {
+    settings[name] = validateSetting(name, value);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    updateSettingsMenu();
+}
+
 // Input
 let keys = {};
 
+// Control scheme is settings.controlMode: 'oneKey' (default) or 'twoAxis', see simulation.js
+let pointerPosition = null; // Mouse position in NDC (-1..1, +y up) while it is over the page
+let touchDrag = null; // { startX, startY, x, y } in pixels while a finger is down
+
 // Geometry buffers
-let tunnelBuffer, obstacleBuffers = [];
+let obstacleBuffers = [];
 let playerBuffer;
-let obstacles = [];
+let tunnelPath = null; // Centre line of the current run's tunnel, see createTunnelPath()
+const tunnelChunks = new Map(); // Chunk index -> wall buffers, built as the camera approaches
+let firstVisibleChunk = 0; // Range of chunk indices currently in tunnelChunks
+let lastVisibleChunk = -1;
 
 // Camera and matrices
-let viewMatrix, projectionMatrix;
-let cameraPos = [0, 0, 0];
+// Allocated once and rewritten every frame so rendering creates no garbage
+const viewMatrix = createMatrix4();
+const projectionMatrix = createMatrix4();
+const modelMatrix = createMatrix4();
+const identityMatrix = identity(createMatrix4());
+const cameraFrame = createMatrix4();
+const cameraTargetFrame = createMatrix4();
+const cameraTarget = [0, 0, 0];
+const cameraUp = [0, 0, 0];
+let cameraPos = [0, 0, 0]; // Tunnel space: x/y across the section, z along the path
+const cameraWorldPos = [0, 0, 0];
+const CAMERA_LOOK_AHEAD = 3; // How far along the path the camera aims
+
+// Fixed-timestep simulation; rendering interpolates between the last two steps
+const MAX_FRAME_TIME = 250; // Largest gap simulated at once (tab switch, stall)
+let previousCameraPos = [0, 0, 0];
+let previousPlayerX = 0;
+let previousPlayerY = 0;
+let renderCameraPos = [0, 0, 0];
+let renderPlayerX = 0;
+let renderPlayerY = 0;
+let renderAlpha = 1;
+// Obstacle rotations before the latest step, kept outside the simulation state
+const previousObstacleRotations = new WeakMap();
+const NEAR_PLANE = 0.1;
+const FAR_PLANE = 100.0;
+
+// Wall patterns
+// Shader pattern indices follow WALL_PATTERNS after 'cycle' (-1). The animation advances
+// with both time and distance flown, so the walls stream faster as the game speeds up.
+const WALL_PATTERNS = SETTINGS_SCHEMA.wallPattern.values;
+const WALL_PATTERN_LABELS = {
+    cycle: 'patternCycle', hex: 'patternHex', circuit: 'patternCircuit', grid: 'patternGrid', rings: 'patternRings'
+};
+const WALL_PATTERN_COUNT = WALL_PATTERNS.length - 1;
+const WALL_PATTERN_SPAN = 150; // Tunnel units per pattern when cycling; must match the shader
+const WALL_PHASE_PER_MS = 0.0005;
+const WALL_PHASE_PER_UNIT = 0.05;
+
+// Shadow mapping
+// Obstacles and the fighter are drawn from the directional light into a depth texture,
+// through an orthographic frustum refitted each frame to the visible stretch of tunnel
+const LIGHT_DIRECTION = [0.5, -0.866, -1.0]; // The way the light travels: from the upper right, ahead
+const WORLD_UP = [0, 1, 0];
+const SHADOW_MAP_SIZE = 1024;
+const SHADOW_TEXTURE_UNIT = 2; // Units 0 and 1 belong to the screen passes
+const SHADOW_SPAN = 40; // Tunnel covered ahead of the camera; obstacles spawn this far out
+const SHADOW_FIT_SAMPLES = 10; // Path frames sampled along the span
+const SHADOW_FIT_RADIUS = 4; // Clears the corners of the widest section
+let shadowSupported = true;
+let shadowProgram, instancedShadowProgram;
+let shadowTarget;
+const lightViewMatrix = createMatrix4();
+const lightProjectionMatrix = createMatrix4();
+const lightEye = [0, 0, 0];
+const shadowFitFrame = createMatrix4();
+const shadowFitPoint = [0, 0, 0];
+
+// Screen-space ambient occlusion
+// Low renders the occlusion at half resolution with half the samples
+const SSAO_QUALITY_LEVELS = SETTINGS_SCHEMA.ssaoQuality.values;
+const SSAO_QUALITY_LABELS = { off: 'aoOff', low: 'aoLow', high: 'aoHigh' };
+const SSAO_PRESETS = {
+    low: { samples: 8, resolutionScale: 0.5 },
+    high: { samples: 16, resolutionScale: 1.0 }
+};
+const SSAO_MAX_SAMPLES = 16; // Must match MAX_SAMPLES in the SSAO shader
+const SSAO_RADIUS = 0.5;
+const SSAO_BIAS = 0.025;
+const SSAO_STRENGTH = 0.9;
+let ssaoSupported = true;
+let ssaoKernel;
+let sceneTarget, normalDepthTarget, ssaoTarget, ssaoBlurTarget;
+let screenQuadBuffer;
+
+// Post-processing
+// With any effect on, the finished scene (SSAO included) is drawn into postTarget. A
+// bright pass and a two-pass blur at reduced resolution build the bloom; one final pass
+// adds it back and applies the CRT effects in screen order: curvature, chromatic
+// aberration, then scanlines.
+const BLOOM_THRESHOLD = 0.7; // Brightest channel at which a pixel starts to glow
+const BLOOM_STRENGTH = 1.2;
+const BLOOM_SPREAD = 2.0; // Blur step in bloom texels
+const BLOOM_RESOLUTION_SCALE = 0.5;
+const CRT_CURVATURE = 0.08;
+const CRT_ABERRATION = 0.004;
+const CRT_SCANLINES = 0.35;
+const CRT_SCANLINE_COUNT = 240; // Lines down the screen, as in retro pixel mode
+let postSupported = true;
+let brightPassProgram, bloomBlurProgram, postProgram;
+let postTarget, bloomTarget, bloomBlurTarget;
 
 // Shader sources
+// Built a second time with INSTANCED defined, taking the model matrix and proximity
+// factor from per-instance attributes instead of uniforms
 const vertexShaderSource = `
     attribute vec3 a_position;
     attribute vec3 a_normal;
     attribute vec2 a_texCoord;
     
+    #ifdef INSTANCED
+    attribute vec4 a_model0;
+    attribute vec4 a_model1;
+    attribute vec4 a_model2;
+    attribute vec4 a_model3;
+    attribute float a_proximityFactor;
+    #else
     uniform mat4 u_modelMatrix;
+    uniform mat4 u_normalMatrix;
+    uniform float u_proximityFactor;
+    #endif
+    
     uniform mat4 u_viewMatrix;
     uniform mat4 u_projectionMatrix;
-    uniform mat4 u_normalMatrix;
+    uniform mat4 u_lightViewMatrix;
+    uniform mat4 u_lightProjectionMatrix;
     
     varying vec3 v_worldPos;
     varying vec3 v_normal;
     varying vec2 v_texCoord;
     varying vec4 v_clipPos;
+    varying float v_proximityFactor;
+    varying vec3 v_shadowCoord;
     
     void main() {
-        vec4 worldPos = u_modelMatrix * vec4(a_position, 1.0);
+        #ifdef INSTANCED
+        // Obstacles are uniformly scaled, so the model matrix also transforms normals
+        mat4 modelMatrix = mat4(a_model0, a_model1, a_model2, a_model3);
+        mat4 normalMatrix = modelMatrix;
+        v_proximityFactor = a_proximityFactor;
+        #else
+        mat4 modelMatrix = u_modelMatrix;
+        mat4 normalMatrix = u_normalMatrix;
+        v_proximityFactor = u_proximityFactor;
+        #endif
+        
+        vec4 worldPos = modelMatrix * vec4(a_position, 1.0);
         v_worldPos = worldPos.xyz;
-        v_normal = normalize((u_normalMatrix * vec4(a_normal, 0.0)).xyz);
+        v_normal = normalize((normalMatrix * vec4(a_normal, 0.0)).xyz);
         v_texCoord = a_texCoord;
         
         gl_Position = u_projectionMatrix * u_viewMatrix * worldPos;
         v_clipPos = gl_Position;
+        
+        // Orthographic light, so no divide is needed
+        v_shadowCoord = (u_lightProjectionMatrix * u_lightViewMatrix * worldPos).xyz * 0.5 + 0.5;
     }
 `;
 
@@ -61,26 +348,137 @@ const fragmentShaderSource = `
     varying vec3 v_normal;
     varying vec2 v_texCoord;
     varying vec4 v_clipPos;
+    varying float v_proximityFactor; // 0.0 to 1.0 for proximity-based color blending
+    varying vec3 v_shadowCoord; // 0.0 to 1.0 across the shadow map, z is the light depth
     
-    uniform vec3 u_lightDirection;
+    uniform vec3 u_lightDirection; // The way the light travels
     uniform vec3 u_cameraPos;
-    uniform float u_time;
-    uniform int u_materialType; // 0: wall, 1: metal obstacle, 2: wireframe, 3: orange wireframe
-    uniform float u_proximityFactor; // 0.0 to 1.0 for proximity-based color blending
+    uniform int u_materialType; // 0: wall, 1: metal obstacle, 2: wireframe, 3: orange wireframe, 4: pickup
+    uniform vec3 u_pickupColor;
+    uniform float u_pickupPhase; // Pickup pulse cycle position, 0.0 to 1.0
+    uniform vec3 u_safeColor; // Obstacle wireframe far away
+    uniform vec3 u_warningColor; // Obstacle wireframe up close
+    uniform vec3 u_warningTint; // Added to the metal as an obstacle nears
+    uniform float u_warningCues; // 1.0: stripe and pulse the warning too (colorblind palette)
+    uniform float u_warningPhase; // Warning pulse cycle position, 0.0 to 1.0
+    uniform float u_wallPattern; // -1.0: change with distance, otherwise an index into wallPattern()
+    uniform float u_wallPhase; // Animation cycle position, 0.0 to 1.0
+    uniform vec2 u_wallChunk; // Pattern cycle position at the chunk start, chunk number 0-3 to vary layouts
+    uniform sampler2D u_shadowMap;
+    uniform vec2 u_shadowTexel;
+    uniform float u_shadows; // 0.0 when shadow mapping is off
+    
+    // Wall patterns. u runs around the tunnel, one tile per unit, and v restarts at 0 on
+    // every chunk and runs to 4, so every pattern repeats along v in a whole fraction of 4
+    // to meet itself at the seams. u_wallPhase loops 0-1, so every animation moves in
+    // whole cycles of it.
+    const vec3 WALL_BASE = vec3(0.15, 0.2, 0.45);
+    const vec3 WALL_LINE = vec3(0.45, 0.65, 1.0);
+    const float WALL_PATTERN_COUNT = 4.0;
+    const float WALL_PATTERN_SPAN = 37.5; // v per pattern when cycling (150 units of tunnel)
+    const float TAU = 6.2831853;
+    
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+    
+    // Soft line through the middle of each unit step of x
+    float gridLine(float x, float width) {
+        return 1.0 - smoothstep(width, width * 2.0, abs(fract(x) - 0.5));
+    }
+    
+    // Honeycomb with glowing bands rolling towards the player
+    vec3 hexPattern(vec2 uv, float phase) {
+        vec2 p = uv * vec2(3.0, 2.5980762); // Rows repeat every 2/3 of v
+        vec2 r = vec2(1.0, 1.7320508);
+        vec2 a = mod(p, r) - r * 0.5;
+        vec2 b = mod(p - r * 0.5, r) - r * 0.5;
+        vec2 cell = abs(dot(a, a) < dot(b, b) ? a : b);
+        float edge = 0.5 - max(dot(cell, normalize(r)), cell.x);
+        float line = 1.0 - smoothstep(0.03, 0.07, edge);
+        float band = 0.5 + 0.5 * sin(TAU * (uv.y * 0.5 + phase));
+        return mix(WALL_BASE, WALL_LINE, line * (0.4 + 0.6 * band));
+    }
     
-    vec3 geometricPattern(vec2 uv) {
-        float scale = 4.0; // Larger scale for more visible checkers
-        vec2 p = uv * scale;
+    // Circuit board: a random trace through each cell, vias where traces cross and
+    // pulses of current running down each column
+    vec3 circuitPattern(vec2 uv, float phase) {
+        vec2 p = uv * vec2(6.0, 5.0);
+        vec2 cell = floor(p);
+        vec2 f = fract(p) - 0.5;
+        float r = hash(cell + vec2(0.0, u_wallChunk.y * 20.0));
+        
+        float across = 1.0 - smoothstep(0.04, 0.08, abs(f.y));
+        float along = 1.0 - smoothstep(0.04, 0.08, abs(f.x));
+        float trace = r < 0.4 ? across : (r < 0.8 ? along : max(across, along));
+        float via = r < 0.8 ? 0.0 : 1.0 - smoothstep(0.12, 0.16, length(f));
+        float current = pow(fract(p.y * 0.1 + phase + hash(vec2(cell.x, 0.0))), 16.0);
         
-        // Create checkerboard pattern
-        vec2 grid = floor(p);
-        float checker = mod(grid.x + grid.y, 2.0);
+        return mix(WALL_BASE * 0.8, WALL_LINE, max(trace, via) * (0.4 + 0.6 * current));
+    }
+    
+    // Grid whose rows scroll towards the player, lit by a slower sweep
+    vec3 scanlineGridPattern(vec2 uv, float phase) {
+        float columns = gridLine(uv.x * 4.0, 0.02);
+        float rows = gridLine(uv.y * 3.0 + phase * 2.0, 0.03);
+        float sweep = smoothstep(0.7, 1.0, fract(uv.y * 0.25 + phase));
+        return mix(WALL_BASE, WALL_LINE, max(columns * 0.6, rows) * (0.4 + 0.6 * sweep));
+    }
+    
+    // Rings rippling out from the middle of each tile, tiles pulsing out of step
+    vec3 ringsPattern(vec2 uv, float phase) {
+        vec2 tile = floor(uv * 2.0);
+        float d = length(fract(uv * 2.0) - 0.5);
+        float ring = gridLine(d * 4.0 - phase * 2.0, 0.08);
+        float fade = 1.0 - smoothstep(0.35, 0.5, d);
+        float pulse = 0.6 + 0.4 * sin(TAU * (phase + hash(tile + vec2(0.0, u_wallChunk.y * 8.0))));
+        return mix(WALL_BASE, WALL_LINE, ring * fade * pulse);
+    }
+    
+    vec3 wallPattern(float index, vec2 uv, float phase) {
+        if (index < 0.5) return hexPattern(uv, phase);
+        if (index < 1.5) return circuitPattern(uv, phase);
+        if (index < 2.5) return scanlineGridPattern(uv, phase);
+        return ringsPattern(uv, phase);
+    }
+    
+    // The chosen pattern, or when cycling a new one every WALL_PATTERN_SPAN that fades into the next
+    vec3 wallColor(vec2 uv) {
+        if (u_wallPattern >= 0.0) return wallPattern(u_wallPattern, uv, u_wallPhase);
         
-        // Define two colors for the checkerboard
-        vec3 color1 = vec3(0.2, 0.3, 0.6); // Dark blue
-        vec3 color2 = vec3(0.4, 0.5, 0.8); // Light blue
+        float stretch = u_wallChunk.x + uv.y / WALL_PATTERN_SPAN;
+        float index = mod(floor(stretch), WALL_PATTERN_COUNT);
+        float blend = smoothstep(0.85, 1.0, fract(stretch));
+        return mix(wallPattern(index, uv, u_wallPhase),
+            wallPattern(mod(index + 1.0, WALL_PATTERN_COUNT), uv, u_wallPhase), blend);
+    }
+    
+    // Strength of the proximity warning. With cues on it pulses deeper as the obstacle
+    // closes in, at one steady rate so the brightness never jumps, and on the metal
+    // comes in diagonal stripes
+    float warningStrength(bool striped) {
+        if (u_warningCues < 0.5) return 1.0;
+        float pulse = sin(TAU * u_warningPhase);
+        float stripes = striped ? step(0.5, fract((v_worldPos.x + v_worldPos.y + v_worldPos.z) * 2.5)) : 1.0;
+        return stripes * (1.0 + 0.6 * pulse * v_proximityFactor);
+    }
+    
+    // Share of a 3x3 PCF kernel that sees the light; outside the map counts as lit
+    float shadowFactor(float NdotL) {
+        if (u_shadows < 0.5) return 1.0;
+        if (any(lessThan(v_shadowCoord, vec3(0.0))) || any(greaterThan(v_shadowCoord, vec3(1.0)))) return 1.0;
         
-        return mix(color1, color2, checker);
+        // Surfaces at a grazing angle to the light need more bias against self-shadowing
+        float bias = mix(0.006, 0.0015, NdotL);
+        float lit = 0.0;
+        for (int x = -1; x <= 1; x++) {
+            for (int y = -1; y <= 1; y++) {
+                vec2 offset = vec2(float(x), float(y)) * u_shadowTexel;
+                float depth = dot(texture2D(u_shadowMap, v_shadowCoord.xy + offset).rg, vec2(1.0, 1.0 / 255.0));
+                lit += step(v_shadowCoord.z - bias, depth);
+            }
+        }
+        return lit / 9.0;
     }
     
     vec3 metalShading(vec3 normal, vec3 viewDir, vec3 lightDir) {
@@ -92,22 +490,33 @@ const fragmentShaderSource = `
         vec3 diffuse = baseColor * NdotL;
         vec3 specular = vec3(1.0) * spec * 0.8;
         
-        // Add orange warning color based on proximity
-        vec3 warningColor = vec3(1.0, 0.4, 0.0) * u_proximityFactor * 0.5; // Orange warning tint
+        // Add warning color based on proximity (orange, or yellow stripes for the colorblind palette)
+        vec3 warningColor = u_warningTint * v_proximityFactor * 0.5 * warningStrength(true);
         
         return diffuse + specular + warningColor;
     }
     
+    // Self-lit pickup: pulsing core with a bright rim so it reads against the walls
+    vec3 pickupGlow(vec3 normal, vec3 viewDir) {
+        float pulse = 0.75 + 0.25 * sin(TAU * u_pickupPhase);
+        float rim = pow(1.0 - max(dot(normal, viewDir), 0.0), 2.0);
+        return u_pickupColor * pulse + vec3(1.0) * rim * 0.6;
+    }
+    
     void main() {
         vec3 normal = normalize(v_normal);
         vec3 viewDir = normalize(u_cameraPos - v_worldPos);
-        vec3 lightDir = normalize(u_lightDirection);
+        vec3 lightDir = -normalize(u_lightDirection); // Towards the light
+        float NdotL = max(dot(normal, lightDir), 0.0);
+        
+        // Only the walls and metal receive shadows; the rest are self-lit
+        float shadow = u_materialType <= 1 ? shadowFactor(NdotL) : 1.0;
         
         vec3 color;
         
         if (u_materialType == 0) {
-            // Wall material with geometric pattern
-            color = geometricPattern(v_texCoord);
+            // Wall material with an animated pattern
+            color = wallColor(v_texCoord);
         } else if (u_materialType == 1) {
             // Metal obstacle material
             color = metalShading(normal, viewDir, lightDir);
@@ -115,19 +524,20 @@ const fragmentShaderSource = `
             // Bright green wireframe
             color = vec3(0.2, 1.0, 0.2);
         } else if (u_materialType == 3) {
-            // Orange wireframe (proximity-based)
-            vec3 greenColor = vec3(0.2, 1.0, 0.2);
-            vec3 orangeColor = vec3(1.0, 0.6, 0.1);
-            color = mix(greenColor, orangeColor, u_proximityFactor);
+            // Warning wireframe (proximity-based), green to orange by default
+            color = mix(u_safeColor, u_warningColor, v_proximityFactor);
+            color *= mix(1.0, warningStrength(false), v_proximityFactor);
+        } else if (u_materialType == 4) {
+            // Glowing pickup
+            color = pickupGlow(normal, viewDir);
         }
         
-        // Basic lighting
-        float NdotL = max(dot(normal, lightDir), 0.0);
+        // Basic lighting; shadows only take away the direct light
         vec3 ambient = color * 0.3;
-        vec3 diffuse = color * NdotL * 0.7;
+        vec3 diffuse = color * NdotL * 0.7 * shadow;
         
-        // Skip lighting for wireframe - keep it bright
-        if (u_materialType == 2 || u_materialType == 3) {
+        // Skip lighting for wireframe and pickups - keep them bright
+        if (u_materialType == 2 || u_materialType == 3 || u_materialType == 4) {
             color = color; // Keep original bright color
         } else {
             color = ambient + diffuse;
@@ -137,1300 +547,4596 @@ const fragmentShaderSource = `
     }
 `;
 
-// Initialize WebGL
-function initGL() {
-    canvas = document.getElementById('gameCanvas');
-    gl = canvas.getContext('webgl');
-    
-    if (!gl) {
-        alert('WebGL not supported');
-        return false;
+// Normal + depth pass for SSAO: view-space normal in RG, linear depth packed into BA
+const normalDepthVertexShaderSource = `
+    attribute vec3 a_position;
+    attribute vec3 a_normal;
+
+    #ifdef INSTANCED
+    attribute vec4 a_model0;
+    attribute vec4 a_model1;
+    attribute vec4 a_model2;
+    attribute vec4 a_model3;
+    #else
+    uniform mat4 u_modelMatrix;
+    uniform mat4 u_normalMatrix;
+    #endif
+
+    uniform mat4 u_viewMatrix;
+    uniform mat4 u_projectionMatrix;
+
+    varying vec3 v_viewNormal;
+    varying float v_viewDepth;
+
+    void main() {
+        #ifdef INSTANCED
+        mat4 modelMatrix = mat4(a_model0, a_model1, a_model2, a_model3);
+        mat4 normalMatrix = modelMatrix;
+        #else
+        mat4 modelMatrix = u_modelMatrix;
+        mat4 normalMatrix = u_normalMatrix;
+        #endif
+
+        vec4 viewPos = u_viewMatrix * modelMatrix * vec4(a_position, 1.0);
+        vec3 worldNormal = (normalMatrix * vec4(a_normal, 0.0)).xyz;
+        v_viewNormal = (u_viewMatrix * vec4(worldNormal, 0.0)).xyz;
+        v_viewDepth = -viewPos.z;
+
+        gl_Position = u_projectionMatrix * viewPos;
     }
-    
-    // Set canvas size
-    resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
-    
-    // モバイルデバイスの向き変更対応
-    window.addEventListener('orientationchange', () => {
-        // 向き変更後、少し遅延してリサイズを実行
-        setTimeout(resizeCanvas, 100);
-    });
-    
-    // デバイスピクセル比の変更対応（外部モニター接続時など）
-    if (window.matchMedia) {
-        const mediaQuery = window.matchMedia('(resolution: 1dppx)');
-        if (mediaQuery.addEventListener) {
-            mediaQuery.addEventListener('change', resizeCanvas);
-        } else {
-            // 古いブラウザ対応
-            mediaQuery.addListener(resizeCanvas);
-        }
+`;
+
+const normalDepthFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    uniform float u_far;
+
+    varying vec3 v_viewNormal;
+    varying float v_viewDepth;
+
+    // Split a 0..1 value across two 8-bit channels
+    vec2 packDepth(float value) {
+        vec2 encoded = fract(vec2(1.0, 255.0) * min(value, 0.9999));
+        encoded.x -= encoded.y / 255.0;
+        return encoded;
     }
-    
-    // Enable depth testing
-    gl.enable(gl.DEPTH_TEST);
-    gl.enable(gl.CULL_FACE);
-    
-    return true;
-}
 
-// Initialize Audio Context
-function initAudio() {
-    try {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        return true;
-    } catch (error) {
-        console.warn('Web Audio API not supported:', error);
-        return false;
+    void main() {
+        vec3 normal = normalize(v_viewNormal);
+        gl_FragColor = vec4(normal.xy * 0.5 + 0.5, packDepth(v_viewDepth / u_far));
     }
-}
+`;
 
-// Play collision sound effect
-function playCollisionSound(type = 'obstacle') {
-    if (!audioContext) return;
-    
-    // Resume audio context if suspended (required for autoplay policy)
-    if (audioContext.state === 'suspended') {
-        audioContext.resume();
+// Shadow map: depth seen from the light, packed like the SSAO depth
+const shadowVertexShaderSource = `
+    attribute vec3 a_position;
+
+    #ifdef INSTANCED
+    attribute vec4 a_model0;
+    attribute vec4 a_model1;
+    attribute vec4 a_model2;
+    attribute vec4 a_model3;
+    #else
+    uniform mat4 u_modelMatrix;
+    #endif
+
+    uniform mat4 u_lightViewMatrix;
+    uniform mat4 u_lightProjectionMatrix;
+
+    varying float v_depth;
+
+    void main() {
+        #ifdef INSTANCED
+        mat4 modelMatrix = mat4(a_model0, a_model1, a_model2, a_model3);
+        #else
+        mat4 modelMatrix = u_modelMatrix;
+        #endif
+
+        gl_Position = u_lightProjectionMatrix * u_lightViewMatrix * modelMatrix * vec4(a_position, 1.0);
+        v_depth = gl_Position.z * 0.5 + 0.5; // Orthographic, so already linear
     }
-    
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-    
-    if (type === 'obstacle') {
-        // Higher pitched, shorter sound for obstacles
-        oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(200, audioContext.currentTime + 0.1);
-        gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.1);
-        oscillator.type = 'square';
-        
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + 0.1);
-    } else if (type === 'wall') {
-        // Lower pitched, slightly longer sound for walls
-        oscillator.frequency.setValueAtTime(400, audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + 0.15);
-        gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.15);
-        oscillator.type = 'sawtooth';
-        
-        oscillator.start(audioContext.currentTime);
-        oscillator.stop(audioContext.currentTime + 0.15);
+`;
+
+const shadowFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    varying float v_depth;
+
+    // Split a 0..1 value across two 8-bit channels
+    vec2 packDepth(float value) {
+        vec2 encoded = fract(vec2(1.0, 255.0) * min(value, 0.9999));
+        encoded.x -= encoded.y / 255.0;
+        return encoded;
     }
-}
 
-// Play melody for game events
-function playMelody(type = 'start') {
-    if (!audioContext) return;
-    
-    // Resume audio context if suspended
-    if (audioContext.state === 'suspended') {
-        audioContext.resume();
+    void main() {
+        gl_FragColor = vec4(packDepth(v_depth), 0.0, 1.0);
     }
-    
-    let notes = [];
-    let noteDuration = 0.2;
-    let baseVolume = 0.15;
-    
-    if (type === 'start') {
-        // Uplifting start melody: C-E-G-C (major chord progression)
-        notes = [
-            { freq: 523.25, duration: 0.15 }, // C5
-            { freq: 659.25, duration: 0.15 }, // E5
-            { freq: 783.99, duration: 0.15 }, // G5
-            { freq: 1046.50, duration: 0.3 }  // C6 (longer)
-        ];
-    } else if (type === 'gameOver') {
-        // Descending game over melody: G-F-E-D-C
-        notes = [
-            { freq: 783.99, duration: 0.2 }, // G5
-            { freq: 698.46, duration: 0.2 }, // F5
-            { freq: 659.25, duration: 0.2 }, // E5
-            { freq: 587.33, duration: 0.2 }, // D5
-            { freq: 523.25, duration: 0.4 }  // C5 (longer)
-        ];
-        baseVolume = 0.12; // Slightly quieter for game over
+`;
+
+// Full-screen quad shared by the SSAO and post-processing passes
+const screenVertexShaderSource = `
+    attribute vec2 a_position;
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        v_texCoord = a_position * 0.5 + 0.5;
+        gl_Position = vec4(a_position, 0.0, 1.0);
     }
-    
-    let currentTime = audioContext.currentTime;
-    
-    notes.forEach((note, index) => {
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination);
-        
-        oscillator.frequency.setValueAtTime(note.freq, currentTime);
-        oscillator.type = 'square';
-        
-        // Envelope: attack, sustain, release
-        gainNode.gain.setValueAtTime(0, currentTime);
-        gainNode.gain.linearRampToValueAtTime(baseVolume, currentTime + 0.02); // Quick attack
-        gainNode.gain.setValueAtTime(baseVolume * 0.8, currentTime + note.duration * 0.7); // Sustain
-        gainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + note.duration); // Release
-        
-        oscillator.start(currentTime);
-        oscillator.stop(currentTime + note.duration);
-        
-        currentTime += note.duration;
-    });
-}
+`;
 
-function resizeCanvas() {
-    // デバイスピクセル比を取得（Retina等の高解像度ディスプレイ対応）
-    const devicePixelRatio = window.devicePixelRatio || 1;
-    
-    // 表示サイズ（CSS pixels）
-    const displayWidth = window.innerWidth;
-    const displayHeight = window.innerHeight;
-    
-    // 実際の描画解像度（device pixels）
-    const drawingBufferWidth = Math.floor(displayWidth * devicePixelRatio);
-    const drawingBufferHeight = Math.floor(displayHeight * devicePixelRatio);
-    
-    // Canvasの表示サイズを設定（CSS）
+const ssaoFragmentShaderSource = `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+
+    const int MAX_SAMPLES = 16;
+
+    uniform sampler2D u_normalDepth;
+    uniform mat4 u_projectionMatrix;
+    uniform vec3 u_kernel[MAX_SAMPLES];
+    uniform int u_sampleCount;
+    uniform float u_radius;
+    uniform float u_bias;
+    uniform float u_far;
+
+    varying vec2 v_texCoord;
+
+    float readDepth(vec2 uv) {
+        return dot(texture2D(u_normalDepth, uv).ba, vec2(1.0, 1.0 / 255.0)) * u_far;
+    }
+
+    vec3 readNormal(vec2 uv) {
+        vec2 xy = texture2D(u_normalDepth, uv).rg * 2.0 - 1.0;
+        return vec3(xy, sqrt(max(0.0, 1.0 - dot(xy, xy))));
+    }
+
+    // Reconstruct the view-space position from screen UV and linear depth
+    vec3 viewPosition(vec2 uv, float depth) {
+        vec2 ndc = uv * 2.0 - 1.0;
+        return vec3(ndc.x * depth / u_projectionMatrix[0][0],
+                    ndc.y * depth / u_projectionMatrix[1][1],
+                    -depth);
+    }
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    void main() {
+        float depth = readDepth(v_texCoord);
+        if (depth > u_far * 0.999) {
+            gl_FragColor = vec4(1.0);
+            return;
+        }
+
+        vec3 origin = viewPosition(v_texCoord, depth);
+        vec3 normal = readNormal(v_texCoord);
+
+        // Rotate the kernel per pixel; the blur pass removes the resulting noise
+        float angle = hash(gl_FragCoord.xy) * 6.2831853;
+        vec3 randomVec = vec3(cos(angle), sin(angle), 0.0);
+        vec3 tangent = normalize(randomVec - normal * dot(randomVec, normal));
+        vec3 bitangent = cross(normal, tangent);
+        mat3 tbn = mat3(tangent, bitangent, normal);
+
+        float occlusion = 0.0;
+        for (int i = 0; i < MAX_SAMPLES; i++) {
+            if (i >= u_sampleCount) break;
+
+            vec3 samplePos = origin + tbn * u_kernel[i] * u_radius;
+            vec4 offset = u_projectionMatrix * vec4(samplePos, 1.0);
+            vec2 sampleUV = offset.xy / offset.w * 0.5 + 0.5;
+
+            float sampleDepth = readDepth(sampleUV);
+            float rangeCheck = smoothstep(0.0, 1.0, u_radius / abs(depth - sampleDepth));
+            occlusion += (sampleDepth <= -samplePos.z - u_bias ? 1.0 : 0.0) * rangeCheck;
+        }
+
+        float ao = 1.0 - occlusion / float(u_sampleCount);
+        gl_FragColor = vec4(ao, ao, ao, 1.0);
+    }
+`;
+
+const ssaoBlurFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_ao;
+    uniform vec2 u_texelSize;
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        // 4x4 box blur smooths out the noise from the per-pixel kernel rotation
+        float result = 0.0;
+        for (int x = -2; x < 2; x++) {
+            for (int y = -2; y < 2; y++) {
+                vec2 offset = (vec2(float(x), float(y)) + 0.5) * u_texelSize;
+                result += texture2D(u_ao, v_texCoord + offset).r;
+            }
+        }
+        result /= 16.0;
+
+        gl_FragColor = vec4(result, result, result, 1.0);
+    }
+`;
+
+const compositeFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_scene;
+    uniform sampler2D u_ao;
+    uniform float u_aoStrength;
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        vec3 color = texture2D(u_scene, v_texCoord).rgb;
+        float ao = texture2D(u_ao, v_texCoord).r;
+
+        gl_FragColor = vec4(color * mix(1.0, ao, u_aoStrength), 1.0);
+    }
+`;
+
+// Bloom, first pass: keep only what is bright enough to glow (wireframes, specular highlights, pickups)
+const brightPassFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_scene;
+    uniform float u_threshold;
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        vec3 color = texture2D(u_scene, v_texCoord).rgb;
+        float brightness = max(color.r, max(color.g, color.b));
+        gl_FragColor = vec4(color * smoothstep(u_threshold, 1.0, brightness), 1.0);
+    }
+`;
+
+// Bloom blur: one axis of a 9-tap Gaussian, folded into 5 linearly filtered reads
+const bloomBlurFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_image;
+    uniform vec2 u_direction; // Step along the blur axis, in UV units
+
+    varying vec2 v_texCoord;
+
+    void main() {
+        vec3 result = texture2D(u_image, v_texCoord).rgb * 0.2270270;
+        result += texture2D(u_image, v_texCoord + u_direction * 1.3846154).rgb * 0.3162162;
+        result += texture2D(u_image, v_texCoord - u_direction * 1.3846154).rgb * 0.3162162;
+        result += texture2D(u_image, v_texCoord + u_direction * 3.2307692).rgb * 0.0702703;
+        result += texture2D(u_image, v_texCoord - u_direction * 3.2307692).rgb * 0.0702703;
+
+        gl_FragColor = vec4(result, 1.0);
+    }
+`;
+
+// Final pass: adds the bloom, then the CRT effects; each is off at a zero uniform
+const postFragmentShaderSource = `
+    precision mediump float;
+
+    uniform sampler2D u_scene;
+    uniform sampler2D u_bloom;
+    uniform float u_bloomStrength;
+    uniform float u_curvature;
+    uniform float u_aberration; // Red/blue offset at the screen edge, in UV units
+    uniform float u_scanlines; // Darkening between lines
+    uniform float u_scanlineCount;
+
+    varying vec2 v_texCoord;
+
+    vec3 sampleFrame(vec2 uv) {
+        return texture2D(u_scene, uv).rgb + texture2D(u_bloom, uv).rgb * u_bloomStrength;
+    }
+
+    void main() {
+        // Barrel distortion: sample further out the further from the centre
+        vec2 centered = v_texCoord * 2.0 - 1.0;
+        centered *= 1.0 + u_curvature * dot(centered, centered);
+        vec2 uv = centered * 0.5 + 0.5;
+        if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+            gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+            return;
+        }
+
+        // Red and blue drift apart towards the edges
+        vec2 shift = centered * u_aberration;
+        vec3 color = vec3(
+            sampleFrame(uv + shift).r,
+            sampleFrame(uv).g,
+            sampleFrame(uv - shift).b);
+
+        float line = 0.5 + 0.5 * sin(uv.y * u_scanlineCount * 6.2831853);
+        color *= 1.0 - u_scanlines * line;
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+// Localization
+// Every piece of UI text comes from this table. Static elements name their string with
+// data-i18n and are filled in by applyLanguage(); text built in code goes through t().
+// {name} in a string is replaced by params.name.
+const LANGUAGES = ['en', 'ja'];
+const STRINGS = {
+    en: {
+        title: '3D Tunnel Runner',
+        subtitle: 'Navigate the Infinite Tunnel',
+        highScore: 'High Score:',
+        score: 'Score:',
+        difficulty: 'Difficulty:',
+        startPrompt: 'Press Space / Click / Touch to Start',
+        leaderboard: 'Leaderboard',
+        leaderboardEmpty: 'No runs yet',
+        columnName: 'Name',
+        columnScore: 'Score',
+        columnDifficulty: 'Diff',
+        columnHits: 'Hits',
+        columnTime: 'Time',
+        columnDate: 'Date',
+        rulesButton: 'Rules: {preset}',
+        presetEasy: 'Easy',
+        presetNormal: 'Normal',
+        presetHard: 'Hard',
+        presetCustom: 'Custom',
+        ruleWallDamage: 'Wall damage',
+        ruleObstacleDamage: 'Obstacle damage',
+        ruleStartSpeed: 'Start speed',
+        ruleSpeedGain: 'Speed gain',
+        ruleObstacleSpawnRate: 'Obstacle rate',
+        rulePickupSpawnRate: 'Pickup rate',
+        controlsOneKey: 'Controls: One-Key',
+        controlsTwoAxis: 'Controls: Two-Axis',
+        instructionsOneKey: 'Space / Mouse Click / Touch / Pad RT: Ascend | Release: Descend',
+        instructionsTwoAxis: 'Arrows / WASD / Mouse / Drag / Pad Stick: Steer',
+        loadReplay: 'Load Replay',
+        loadReplayFailed: 'Could not load replay: {error}',
+        languageButton: 'Language: English',
+        fullscreen: '⛶ Fullscreen',
+        exitFullscreen: '⛶ Exit Fullscreen',
+        aoButton: 'AO: {quality}',
+        aoOff: 'OFF',
+        aoLow: 'LOW',
+        aoHigh: 'HIGH',
+        pauseButton: '❚❚ Pause',
+        audioButton: '♪ Audio',
+        mutedButton: '✕ Muted',
+        busMaster: 'Master',
+        busMusic: 'Music',
+        busSfx: 'Effects',
+        busUi: 'Interface',
+        mute: 'Mute (M)',
+        reducedFlash: 'Reduced flashing',
+        colorblindPalette: 'Colorblind palette',
+        highContrastHud: 'High-contrast HUD',
+        settingsButton: '⚙ Settings',
+        settingsTitle: 'Settings',
+        settingsHint: '↑↓ Select · ←→ Change · Esc Close',
+        settingsClose: 'Close',
+        sectionGraphics: 'Graphics',
+        sectionAudio: 'Audio',
+        sectionControls: 'Controls',
+        sectionAccessibility: 'Accessibility',
+        settingAO: 'Ambient occlusion',
+        settingDynamicResolution: 'Dynamic resolution',
+        settingRetroPixels: 'Retro pixels',
+        settingBloom: 'Bloom',
+        settingShadows: 'Shadows',
+        settingWallPattern: 'Wall pattern',
+        patternCycle: 'Changing',
+        patternHex: 'Hex grid',
+        patternCircuit: 'Circuit',
+        patternGrid: 'Scanline grid',
+        patternRings: 'Rings',
+        settingScanlines: 'CRT scanlines',
+        settingCurvature: 'CRT curvature',
+        settingAberration: 'Chromatic aberration',
+        settingControls: 'Control scheme',
+        settingLanguage: 'Language',
+        controlOneKey: 'One-Key',
+        controlTwoAxis: 'Two-Axis',
+        languageAuto: 'Auto',
+        languageEnglish: 'English',
+        languageJapanese: '日本語',
+        settingOn: 'On',
+        settingOff: 'Off',
+        replayIndicator: '▶ Replay',
+        restoringGraphics: '⚠ Restoring graphics…',
+        shield: 'Shield',
+        multiplier: 'Score',
+        seconds: 's',
+        gameOver: 'Game Over',
+        rank: 'Rank #{rank}',
+        newRecord: 'New Record! Enter Your Initials',
+        ok: 'OK',
+        seed: 'Seed:',
+        copySeed: 'Copy Seed URL',
+        copied: 'Copied!',
+        seedURL: 'Seed URL',
+        saveReplay: 'Save Replay',
+        replayVerified: 'Replay verified: {score}',
+        replayMismatch: 'Replay mismatch: recorded {score}',
+        restartPrompt: 'Tap Screen to Play Again',
+        paused: 'Paused',
+        resumePrompt: 'Esc / P / Tap to Resume',
+        webGLUnsupported: 'WebGL not supported'
+    },
+    ja: {
+        title: '3D トンネルランナー',
+        subtitle: '無限のトンネルを駆け抜けろ',
+        highScore: 'ハイスコア:',
+        score: 'スコア:',
+        difficulty: '難易度:',
+        startPrompt: 'スペース / クリック / タッチでスタート',
+        leaderboard: 'ランキング',
+        leaderboardEmpty: 'まだ記録がありません',
+        columnName: '名前',
+        columnScore: 'スコア',
+        columnDifficulty: '難易度',
+        columnHits: '被弾',
+        columnTime: 'タイム',
+        columnDate: '日付',
+        rulesButton: 'ルール: {preset}',
+        presetEasy: 'イージー',
+        presetNormal: 'ノーマル',
+        presetHard: 'ハード',
+        presetCustom: 'カスタム',
+        ruleWallDamage: '壁ダメージ',
+        ruleObstacleDamage: '障害物ダメージ',
+        ruleStartSpeed: '初速',
+        ruleSpeedGain: '加速度',
+        ruleObstacleSpawnRate: '障害物の出現率',
+        rulePickupSpawnRate: 'アイテムの出現率',
+        controlsOneKey: '操作: ワンキー',
+        controlsTwoAxis: '操作: 2軸',
+        instructionsOneKey: 'スペース / クリック / タッチ / パッド RT: 上昇 | 離す: 下降',
+        instructionsTwoAxis: '矢印キー / WASD / マウス / ドラッグ / パッドのスティック: 移動',
+        loadReplay: 'リプレイを読み込む',
+        loadReplayFailed: 'リプレイを読み込めませんでした: {error}',
+        languageButton: '言語: 日本語',
+        fullscreen: '⛶ 全画面',
+        exitFullscreen: '⛶ 全画面を終了',
+        aoButton: 'AO: {quality}',
+        aoOff: 'オフ',
+        aoLow: '低',
+        aoHigh: '高',
+        pauseButton: '❚❚ 一時停止',
+        audioButton: '♪ サウンド',
+        mutedButton: '✕ ミュート中',
+        busMaster: 'マスター',
+        busMusic: '音楽',
+        busSfx: '効果音',
+        busUi: 'メニュー音',
+        mute: 'ミュート (M)',
+        reducedFlash: 'フラッシュを抑える',
+        colorblindPalette: '色覚サポート配色',
+        highContrastHud: 'ハイコントラストHUD',
+        settingsButton: '⚙ 設定',
+        settingsTitle: '設定',
+        settingsHint: '↑↓ 選択 · ←→ 変更 · Esc 閉じる',
+        settingsClose: '閉じる',
+        sectionGraphics: 'グラフィックス',
+        sectionAudio: 'サウンド',
+        sectionControls: '操作',
+        sectionAccessibility: 'アクセシビリティ',
+        settingAO: 'アンビエントオクルージョン',
+        settingDynamicResolution: '解像度の自動調整',
+        settingRetroPixels: 'レトロピクセル',
+        settingBloom: 'ブルーム',
+        settingShadows: '影',
+        settingWallPattern: '壁の模様',
+        patternCycle: '距離で変化',
+        patternHex: 'ハニカム',
+        patternCircuit: '回路',
+        patternGrid: '走査線グリッド',
+        patternRings: 'リング',
+        settingScanlines: 'CRT走査線',
+        settingCurvature: 'CRT画面の湾曲',
+        settingAberration: '色収差',
+        settingControls: '操作方法',
+        settingLanguage: '言語',
+        controlOneKey: 'ワンキー',
+        controlTwoAxis: '2軸',
+        languageAuto: '自動',
+        languageEnglish: 'English',
+        languageJapanese: '日本語',
+        settingOn: 'オン',
+        settingOff: 'オフ',
+        replayIndicator: '▶ リプレイ',
+        restoringGraphics: '⚠ グラフィックスを復元中…',
+        shield: 'シールド',
+        multiplier: 'スコア',
+        seconds: '秒',
+        gameOver: 'ゲームオーバー',
+        rank: '{rank}位',
+        newRecord: '新記録！イニシャルを入力してください',
+        ok: 'OK',
+        seed: 'シード:',
+        copySeed: 'シードURLをコピー',
+        copied: 'コピーしました！',
+        seedURL: 'シードURL',
+        saveReplay: 'リプレイを保存',
+        replayVerified: 'リプレイ検証OK: {score}',
+        replayMismatch: 'リプレイ不一致: 記録 {score}',
+        restartPrompt: '画面をタップしてもう一度プレイ',
+        paused: '一時停止中',
+        resumePrompt: 'Esc / P / タップで再開',
+        webGLUnsupported: 'WebGLに対応していません'
+    }
+};
+
+// settings.language, or for 'auto' the browser's preferred language; anything but Japanese gets English
+function getLanguage() {
+    if (settings.language !== 'auto') {
+        return settings.language;
+    }
+    return (navigator.language || '').toLowerCase().startsWith('ja') ? 'ja' : 'en';
+}
+
+// Look up a string in the current language, falling back to English, then to the key
+function t(key, params) {
+    const strings = STRINGS[getLanguage()];
+    let text = key in strings ? strings[key] : STRINGS.en[key];
+    if (text === undefined) {
+        console.warn('Missing string:', key);
+        return key;
+    }
+    if (params) {
+        text = text.replace(/\{(\w+)\}/g, (match, name) => name in params ? params[name] : match);
+    }
+    return text;
+}
+
+// Span for label text built in code, tagged so a language switch re-renders it
+function createLabelText(key) {
+    const span = document.createElement('span');
+    span.dataset.i18n = key;
+    span.textContent = t(key);
+    return span;
+}
+
+// Fill in every static element tagged with data-i18n
+function applyLanguage() {
+    document.documentElement.lang = getLanguage();
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+}
+
+// Re-renders everything that builds its text in code
+function setLanguage(choice) {
+    setSetting('language', choice);
+    
+    applyLanguage();
+    updateControlModeDisplay();
+    updateRulesPresetDisplay();
+    updateSSAOButton();
+    updateFullscreenButton();
+    updateAudioButton();
+    renderLeaderboard();
+}
+
+// Language button on the title screen: switches between the languages themselves, never back to 'auto'
+function toggleLanguage() {
+    setLanguage(LANGUAGES[(LANGUAGES.indexOf(getLanguage()) + 1) % LANGUAGES.length]);
+}
+
+// Accessibility
+// Reduced flashing swaps the full-screen hit flash for a red vignette. The colorblind
+// palette draws obstacle warnings blue to yellow instead of green to orange and adds
+// stripes and a pulse, so closeness does not rely on hue. High contrast enlarges the
+// HUD and drops its glow. Each is a boolean in settings.
+// Obstacle wireframe color far away and up close, and the tint added to the metal
+const WARNING_PALETTES = {
+    standard: { safe: [0.2, 1.0, 0.2], warning: [1.0, 0.6, 0.1], tint: [1.0, 0.4, 0.0] },
+    colorblind: { safe: [0.2, 0.6, 1.0], warning: [1.0, 0.9, 0.2], tint: [1.0, 0.8, 0.0] }
+};
+
+const WARNING_PULSE_RATE = 0.002; // Cycles per ms, kept under 3 Hz
+
+function setAccessibilityOption(name, enabled) {
+    setSetting(name, enabled);
+    applyAccessibilitySettings();
+}
+
+// The flash and the obstacle palette read the settings as they draw; only the HUD needs a class
+function applyAccessibilitySettings() {
+    document.body.classList.toggle('high-contrast-hud', settings.highContrastHud);
+}
+
+function getWarningPalette() {
+    return WARNING_PALETTES[settings.colorblind ? 'colorblind' : 'standard'];
+}
+
+// Settings menu
+// Opened from the title screen and the pause overlay. One row per setting: Up/Down (or
+// W/S, the d-pad) pick a row, Left/Right change it, Enter/Space step it forward and
+// Escape closes; the arrows beside each value do the same for mouse and touch.
+const SETTINGS_MENU_ITEMS = [
+    { section: 'sectionGraphics', name: 'ssaoQuality', label: 'settingAO', change: setSSAOQuality,
+        labels: SSAO_QUALITY_LABELS },
+    { name: 'shadows', label: 'settingShadows', change: value => setSetting('shadows', value) },
+    { name: 'wallPattern', label: 'settingWallPattern', change: value => setSetting('wallPattern', value),
+        labels: WALL_PATTERN_LABELS },
+    { name: 'dynamicResolution', label: 'settingDynamicResolution', change: setDynamicResolution },
+    { name: 'retroPixels', label: 'settingRetroPixels', change: setRetroPixels },
+    { name: 'bloom', label: 'settingBloom', change: value => setSetting('bloom', value) },
+    { name: 'crtScanlines', label: 'settingScanlines', change: value => setSetting('crtScanlines', value) },
+    { name: 'crtCurvature', label: 'settingCurvature', change: value => setSetting('crtCurvature', value) },
+    { name: 'chromaticAberration', label: 'settingAberration', change: value => setSetting('chromaticAberration', value) },
+    { section: 'sectionAudio', name: 'masterVolume', label: 'busMaster', change: value => setVolume('masterVolume', value) },
+    { name: 'musicVolume', label: 'busMusic', change: value => setVolume('musicVolume', value) },
+    { name: 'sfxVolume', label: 'busSfx', change: value => setVolume('sfxVolume', value) },
+    { name: 'uiVolume', label: 'busUi', change: value => setVolume('uiVolume', value) },
+    { name: 'muted', label: 'mute', change: setMuted },
+    { section: 'sectionControls', name: 'controlMode', label: 'settingControls', change: setControlMode,
+        labels: { oneKey: 'controlOneKey', twoAxis: 'controlTwoAxis' } },
+    { name: 'language', label: 'settingLanguage', change: setLanguage,
+        labels: { auto: 'languageAuto', en: 'languageEnglish', ja: 'languageJapanese' } },
+    { section: 'sectionAccessibility', name: 'reducedFlash', label: 'reducedFlash',
+        change: value => setAccessibilityOption('reducedFlash', value) },
+    { name: 'colorblind', label: 'colorblindPalette', change: value => setAccessibilityOption('colorblind', value) },
+    { name: 'highContrastHud', label: 'highContrastHud', change: value => setAccessibilityOption('highContrastHud', value) }
+];
+const SETTINGS_VOLUME_STEP = 0.1;
+
+let settingsOpen = false;
+let settingsFocus = 0; // Row index; SETTINGS_MENU_ITEMS.length is the Close button
+
+function openSettings() {
+    settingsOpen = true;
+    settingsFocus = 0;
+    keys = {};
+    setGamepadFocus(null);
+    document.getElementById('settingsMenu').style.display = 'block';
+    updateSettingsMenu();
+}
+
+function closeSettings() {
+    settingsOpen = false;
+    document.getElementById('settingsMenu').style.display = 'none';
+}
+
+// Next or previous value of a row: choices wrap, volumes step, switches flip
+function stepSetting(item, direction) {
+    const schema = SETTINGS_SCHEMA[item.name];
+    const value = settings[item.name];
+    
+    if (schema.values) {
+        const index = schema.values.indexOf(value);
+        item.change(schema.values[(index + direction + schema.values.length) % schema.values.length]);
+    } else if (typeof value === 'number') {
+        const stepped = Math.round((value + direction * SETTINGS_VOLUME_STEP) * 100) / 100;
+        item.change(Math.min(schema.max, Math.max(schema.min, stepped)));
+    } else {
+        item.change(!value);
+    }
+}
+
+function formatSettingValue(item) {
+    const value = settings[item.name];
+    if (item.labels) {
+        return t(item.labels[value]);
+    }
+    if (typeof value === 'number') {
+        return Math.round(value * 100) + '%';
+    }
+    return t(value ? 'settingOn' : 'settingOff');
+}
+
+function moveSettingsFocus(step) {
+    const count = SETTINGS_MENU_ITEMS.length + 1;
+    settingsFocus = (settingsFocus + step + count) % count;
+    updateSettingsMenu();
+}
+
+// Enter / Space / gamepad A on the focused row
+function activateSettingsFocus() {
+    if (settingsFocus === SETTINGS_MENU_ITEMS.length) {
+        closeSettings();
+    } else {
+        stepSetting(SETTINGS_MENU_ITEMS[settingsFocus], 1);
+    }
+}
+
+function handleSettingsKey(e) {
+    if (e.code === 'ArrowUp' || e.code === 'KeyW') {
+        moveSettingsFocus(-1);
+    } else if (e.code === 'ArrowDown' || e.code === 'KeyS') {
+        moveSettingsFocus(1);
+    } else if ((e.code === 'ArrowLeft' || e.code === 'KeyA') && settingsFocus < SETTINGS_MENU_ITEMS.length) {
+        stepSetting(SETTINGS_MENU_ITEMS[settingsFocus], -1);
+    } else if ((e.code === 'ArrowRight' || e.code === 'KeyD') && settingsFocus < SETTINGS_MENU_ITEMS.length) {
+        stepSetting(SETTINGS_MENU_ITEMS[settingsFocus], 1);
+    } else if (e.code === 'Enter' || e.code === 'Space') {
+        activateSettingsFocus();
+    } else if (e.code === 'Escape') {
+        closeSettings();
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// Rows are built once; updateSettingsMenu() refreshes their values and the focus
+function setupSettingsMenu() {
+    const list = document.getElementById('settingsList');
+    
+    SETTINGS_MENU_ITEMS.forEach((item, index) => {
+        if (item.section) {
+            const heading = document.createElement('h2');
+            heading.appendChild(createLabelText(item.section));
+            list.appendChild(heading);
+        }
+        
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        row.appendChild(createLabelText(item.label));
+        
+        const previous = document.createElement('button');
+        previous.textContent = '◀';
+        const value = document.createElement('span');
+        value.className = 'settings-value';
+        const next = document.createElement('button');
+        next.textContent = '▶';
+        row.appendChild(previous);
+        row.appendChild(value);
+        row.appendChild(next);
+        
+        previous.addEventListener('click', function(e) {
+            e.stopPropagation();
+            settingsFocus = index;
+            stepSetting(item, -1);
+        });
+        next.addEventListener('click', function(e) {
+            e.stopPropagation();
+            settingsFocus = index;
+            stepSetting(item, 1);
+        });
+        row.addEventListener('click', function() {
+            settingsFocus = index;
+            updateSettingsMenu();
+        });
+        
+        list.appendChild(row);
+    });
+    
+    document.getElementById('settingsCloseBtn').addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        closeSettings();
+    });
+    
+    ['settingsBtn', 'pauseSettingsBtn'].forEach(id => {
+        document.getElementById(id).addEventListener('click', function(e) {
+            e.stopPropagation();
+            e.preventDefault();
+            openSettings();
+        });
+    });
+}
+
+function updateSettingsMenu() {
+    if (!settingsOpen) return;
+    
+    document.querySelectorAll('#settingsList .settings-row').forEach((row, index) => {
+        row.querySelector('.settings-value').textContent = formatSettingValue(SETTINGS_MENU_ITEMS[index]);
+        row.classList.toggle('focused', index === settingsFocus);
+    });
+    document.getElementById('settingsCloseBtn').classList.toggle('focused', settingsFocus === SETTINGS_MENU_ITEMS.length);
+}
+
+// Initialize WebGL
+function initGL() {
+    canvas = document.getElementById('gameCanvas');
+    gl = canvas.getContext('webgl');
+    
+    if (!gl) {
+        alert(t('webGLUnsupported'));
+        return false;
+    }
+    
+    // The GPU process can reset, or a mobile browser evict the context, at any time
+    canvas.addEventListener('webglcontextlost', handleContextLost);
+    canvas.addEventListener('webglcontextrestored', handleContextRestored);
+    
+    // Set canvas size
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    
+    // モバイルデバイスの向き変更対応
+    window.addEventListener('orientationchange', () => {
+        // 向き変更後、少し遅延してリサイズを実行
+        setTimeout(resizeCanvas, 100);
+    });
+    
+    // デバイスピクセル比の変更対応（外部モニター接続時など）
+    if (window.matchMedia) {
+        const mediaQuery = window.matchMedia('(resolution: 1dppx)');
+        if (mediaQuery.addEventListener) {
+            mediaQuery.addEventListener('change', resizeCanvas);
+        } else {
+            // 古いブラウザ対応
+            mediaQuery.addListener(resizeCanvas);
+        }
+    }
+    
+    return true;
+}
+
+// GPU resources
+// Everything that lives in the WebGL context is built here, once at startup and again
+// whenever a lost context is restored; game state stays on the CPU and survives the loss
+function initGPUResources() {
+    // Enable depth testing
+    gl.enable(gl.DEPTH_TEST);
+    gl.enable(gl.CULL_FACE);
+    
+    // Optional: without it obstacles fall back to one draw call each
+    instancing = gl.getExtension('ANGLE_instanced_arrays');
+    
+    // Create shader program
+    shaderProgram = createProgram(vertexShaderSource, fragmentShaderSource);
+    if (!shaderProgram) {
+        return false;
+    }
+    instancedShaderProgram = createInstancedProgram(vertexShaderSource, fragmentShaderSource);
+    instanceBuffer = instancing ? gl.createBuffer() : null;
+    
+    screenQuadBuffer = createScreenQuad();
+    
+    // Offscreen targets and passes for ambient occlusion
+    ssaoSupported = true;
+    initSSAO();
+    updateSSAOButton();
+    
+    // Bloom and CRT effects
+    postSupported = true;
+    initPostProcessing();
+    
+    shadowSupported = true;
+    initShadows();
+    
+    // Create geometry
+    obstacleBuffers = OBSTACLE_SHAPES.map(shape => createPolyhedronBuffers(shape));
+    playerBuffer = createFighter();
+    
+    // Chunks from a lost context are already invalid, so they are dropped rather than
+    // deleted; render() rebuilds the ones around the camera on the next frame
+    tunnelChunks.clear();
+    firstVisibleChunk = 0;
+    lastVisibleChunk = -1;
+    
+    return true;
+}
+
+function handleContextLost(e) {
+    // Without preventDefault the browser never offers to restore the context
+    e.preventDefault();
+    
+    contextLost = true;
+    pauseGame();
+    updateContextLostDisplay();
+}
+
+function handleContextRestored() {
+    contextLost = !initGPUResources();
+    if (contextLost) {
+        console.error('Could not rebuild graphics after the WebGL context was restored');
+    }
+    updateContextLostDisplay();
+}
+
+// The run stays paused until the context is back; then the usual resume applies
+function updateContextLostDisplay() {
+    document.getElementById('contextLostIndicator').style.display = contextLost ? 'block' : 'none';
+    if (gameState.paused) {
+        document.getElementById('resumePrompt').style.display = contextLost ? 'none' : 'block';
+    }
+}
+
+// Audio mixer
+// Every sound feeds one of the music / SFX / UI buses, which all feed the master bus.
+// Levels are 0..1 per bus in settings; mute silences the master only, so the levels
+// survive it.
+const PAUSE_DUCK_LEVEL = 0.3; // Music and effects level while the pause menu is up
+const MIXER_SMOOTHING = 0.05; // Time constant (s) for level changes, avoids clicks
+
+let masterBus, musicBus, sfxBus, uiBus;
+
+function createBus(destination) {
+    const bus = audioContext.createGain();
+    bus.connect(destination);
+    return bus;
+}
+
+// Apply the saved levels, mute and pause ducking to the buses
+function updateMixer() {
+    updateAudioButton();
+    if (!audioContext) return;
+    
+    // Ducked only while the pause menu waits; the resume countdown brings the level back
+    const duck = gameState.paused && gameState.resumeAt === null ? PAUSE_DUCK_LEVEL : 1;
+    const time = audioContext.currentTime;
+    masterBus.gain.setTargetAtTime(settings.muted ? 0 : settings.masterVolume, time, MIXER_SMOOTHING);
+    musicBus.gain.setTargetAtTime(settings.musicVolume * duck, time, MIXER_SMOOTHING);
+    sfxBus.gain.setTargetAtTime(settings.sfxVolume * duck, time, MIXER_SMOOTHING);
+    uiBus.gain.setTargetAtTime(settings.uiVolume, time, MIXER_SMOOTHING);
+}
+
+function setVolume(name, level) {
+    setSetting(name, level);
+    updateMixer();
+}
+
+function setMuted(muted) {
+    setSetting('muted', muted);
+    updateMixer();
+}
+
+function toggleMute() {
+    setMuted(!settings.muted);
+}
+
+function updateAudioButton() {
+    document.getElementById('audioBtn').textContent = t(settings.muted ? 'mutedButton' : 'audioButton');
+}
+
+// Initialize Audio Context
+function initAudio() {
+    try {
+        audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        masterBus = createBus(audioContext.destination);
+        musicBus = createBus(masterBus);
+        sfxBus = createBus(masterBus);
+        uiBus = createBus(masterBus);
+        updateMixer();
+        
+        musicGain = audioContext.createGain();
+        musicGain.gain.value = MUSIC_VOLUME;
+        musicGain.connect(musicBus);
+        
+        // The context starts suspended until the page gets a gesture; any one will do,
+        // so the title music starts even before the first run
+        ['keydown', 'mousedown', 'touchstart'].forEach(type => {
+            document.addEventListener(type, resumeAudio, true);
+        });
+        return true;
+    } catch (error) {
+        console.warn('Web Audio API not supported:', error);
+        return false;
+    }
+}
+
+function resumeAudio() {
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+// Play collision sound effect
+function playCollisionSound(type = 'obstacle') {
+    if (!audioContext) return;
+    
+    // Resume audio context if suspended (required for autoplay policy)
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    
+    oscillator.connect(gainNode);
+    gainNode.connect(sfxBus);
+    
+    if (type === 'obstacle') {
+        // Higher pitched, shorter sound for obstacles
+        oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(200, audioContext.currentTime + 0.1);
+        gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.1);
+        oscillator.type = 'square';
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + 0.1);
+    } else if (type === 'wall') {
+        // Lower pitched, slightly longer sound for walls
+        oscillator.frequency.setValueAtTime(400, audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + 0.15);
+        gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.15);
+        oscillator.type = 'sawtooth';
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + 0.15);
+    } else if (type === 'shield') {
+        // Hollow ring when the shield soaks up a hit
+        oscillator.frequency.setValueAtTime(300, audioContext.currentTime);
+        oscillator.frequency.exponentialRampToValueAtTime(900, audioContext.currentTime + 0.2);
+        gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.25);
+        oscillator.type = 'triangle';
+        
+        oscillator.start(audioContext.currentTime);
+        oscillator.stop(audioContext.currentTime + 0.25);
+    }
+}
+
+// Short rising arpeggio per pickup type
+function playPickupSound(type) {
+    if (!audioContext) return;
+    
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    
+    const arpeggios = {
+        life: [523.25, 659.25, 783.99],      // C5-E5-G5
+        shield: [392.00, 587.33, 783.99],    // G4-D5-G5
+        multiplier: [659.25, 880.00, 1318.51] // E5-A5-E6
+    };
+    const notes = arpeggios[type] || arpeggios.life;
+    
+    notes.forEach((freq, index) => {
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(sfxBus);
+        
+        const startTime = audioContext.currentTime + index * 0.05;
+        oscillator.frequency.setValueAtTime(freq, startTime);
+        oscillator.type = 'sine';
+        gainNode.gain.setValueAtTime(0.15, startTime);
+        gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + 0.12);
+        
+        oscillator.start(startTime);
+        oscillator.stop(startTime + 0.12);
+    });
+}
+
+// Soft falling tone when a timed effect runs out
+function playEffectExpiredSound() {
+    if (!audioContext) return;
+    
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    
+    oscillator.connect(gainNode);
+    gainNode.connect(sfxBus);
+    
+    oscillator.frequency.setValueAtTime(600, audioContext.currentTime);
+    oscillator.frequency.exponentialRampToValueAtTime(300, audioContext.currentTime + 0.2);
+    gainNode.gain.setValueAtTime(0.1, audioContext.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.2);
+    oscillator.type = 'sine';
+    
+    oscillator.start(audioContext.currentTime);
+    oscillator.stop(audioContext.currentTime + 0.2);
+}
+
+// Play melody for game events
+function playMelody(type = 'start') {
+    if (!audioContext) return;
+    
+    // Resume audio context if suspended
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    
+    let notes = [];
+    let noteDuration = 0.2;
+    let baseVolume = 0.15;
+    
+    if (type === 'start') {
+        // Uplifting start melody: C-E-G-C (major chord progression)
+        notes = [
+            { freq: 523.25, duration: 0.15 }, // C5
+            { freq: 659.25, duration: 0.15 }, // E5
+            { freq: 783.99, duration: 0.15 }, // G5
+            { freq: 1046.50, duration: 0.3 }  // C6 (longer)
+        ];
+    } else if (type === 'gameOver') {
+        // Descending game over melody: G-F-E-D-C
+        notes = [
+            { freq: 783.99, duration: 0.2 }, // G5
+            { freq: 698.46, duration: 0.2 }, // F5
+            { freq: 659.25, duration: 0.2 }, // E5
+            { freq: 587.33, duration: 0.2 }, // D5
+            { freq: 523.25, duration: 0.4 }  // C5 (longer)
+        ];
+        baseVolume = 0.12; // Slightly quieter for game over
+    }
+    
+    let currentTime = audioContext.currentTime;
+    
+    notes.forEach((note, index) => {
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(uiBus);
+        
+        oscillator.frequency.setValueAtTime(note.freq, currentTime);
+        oscillator.type = 'square';
+        
+        // Envelope: attack, sustain, release
+        gainNode.gain.setValueAtTime(0, currentTime);
+        gainNode.gain.linearRampToValueAtTime(baseVolume, currentTime + 0.02); // Quick attack
+        gainNode.gain.setValueAtTime(baseVolume * 0.8, currentTime + note.duration * 0.7); // Sustain
+        gainNode.gain.exponentialRampToValueAtTime(0.001, currentTime + note.duration); // Release
+        
+        oscillator.start(currentTime);
+        oscillator.stop(currentTime + note.duration);
+        
+        currentTime += note.duration;
+    });
+}
+
+// Background music
+// A small chiptune sequencer. A timer wakes every MUSIC_TIMER_INTERVAL ms and schedules
+// every 16th-note step that starts within MUSIC_LOOKAHEAD seconds on the audio clock,
+// so notes land exactly on time even when frames or timer ticks are late.
+// Patterns are 16-step strings, one character per step, '.' for a rest:
+//   bass  - semitones above the chord root, base 36 (so 'c' is an octave)
+//   lead  - chord tone index: 0-2 the triad, 3-5 the same an octave up
+//   drums - k kick, s snare, h hi-hat; one pattern per intensity level
+const MUSIC_LOOKAHEAD = 0.12;
+const MUSIC_TIMER_INTERVAL = 25;
+const MUSIC_STEPS_PER_BAR = 16;
+const MUSIC_VOLUME = 0.08;
+const MUSIC_MAX_TEMPO_SCALE = 1.5; // Game theme tempo cap relative to its base tempo
+
+const MUSIC_THEMES = {
+    title: {
+        tempo: 96,
+        chords: [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]], // Am F C G
+        bass: '0...c...0...c.7.',
+        lead: '3.4.5.4.3.2.1.2.',
+        drums: ['k.......k.......'],
+        leadIntensity: 0
+    },
+    game: {
+        tempo: 132,
+        chords: [[52, 55, 59], [48, 52, 55], [50, 54, 57], [47, 50, 54]], // Em C D Bm
+        bass: '0.0c0.0c0.0c0.7c',
+        lead: null, // Generated per run, see createMusicLead()
+        drums: ['k...s...k...s...', 'k.h.s.h.k.h.s.h.', 'khhhshhhkhhhshks'],
+        leadIntensity: 1
+    },
+    gameOver: {
+        tempo: 72,
+        chords: [[57, 60, 64], [55, 58, 62], [53, 57, 60], [52, 56, 59]], // Am Gm F E
+        bass: '0.......7.......',
+        lead: '5...4...3...2...',
+        drums: ['................'],
+        leadIntensity: 0
+    }
+};
+
+let musicTheme = null; // Key into MUSIC_THEMES, null when silent
+let musicStep = 0; // Next step to schedule
+let musicNextStepTime = 0; // Audio clock time of that step
+let musicTimer = null; // Runs from the first theme on; idle ticks are cheap
+let musicLead = []; // Game theme lead, one pattern per chord
+let musicGain = null;
+let noiseBuffer = null;
+
+// Start a theme from its first step, after delay seconds (e.g. to let a jingle finish)
+function playMusic(theme, delay = 0) {
+    if (!audioContext) return;
+    
+    if (theme === 'game') {
+        musicLead = createMusicLead(simState.seed);
+    }
+    
+    musicTheme = theme;
+    musicStep = 0;
+    musicNextStepTime = audioContext.currentTime + delay;
+    
+    if (musicTimer === null) {
+        musicTimer = setInterval(scheduleMusic, MUSIC_TIMER_INTERVAL);
+    }
+    scheduleMusic();
+}
+
+// Each run gets its own melody over the same chords: mostly eighth notes that wander
+// between neighbouring chord tones, from a stream seeded by the run so replays match
+function createMusicLead(seed) {
+    const random = createRandom(seed ^ 0x2545F491);
+    const chordCount = MUSIC_THEMES.game.chords.length;
+    const lead = [];
+    let index = 3;
+    
+    for (let bar = 0; bar < chordCount; bar++) {
+        let pattern = '';
+        for (let position = 0; position < MUSIC_STEPS_PER_BAR; position++) {
+            const chance = position % 2 === 0 ? 0.7 : 0.15;
+            if (random() < chance) {
+                index = Math.max(0, Math.min(5, index + Math.floor(random() * 4) - 1));
+                pattern += index;
+            } else {
+                pattern += '.';
+            }
+        }
+        lead.push(pattern);
+    }
+    
+    return lead;
+}
+
+// Layers the game theme adds as the run speeds up: 0 bass and drums, 1 hats and lead,
+// 2 busier drums and a lead doubled an octave up
+function getMusicIntensity() {
+    if (musicTheme !== 'game') return 0;
+    return Math.min(2, Math.floor((getDifficultyMultiplier() - 1) * 2));
+}
+
+function getMusicStepDuration() {
+    let tempo = MUSIC_THEMES[musicTheme].tempo;
+    if (musicTheme === 'game') {
+        tempo *= Math.min(MUSIC_MAX_TEMPO_SCALE, 1 + (getDifficultyMultiplier() - 1) * 0.25);
+    }
+    return 60 / tempo / 4;
+}
+
+function scheduleMusic() {
+    if (!musicTheme) return;
+    
+    // After a stall (background tab, suspended context) pick up from now instead of
+    // scheduling a burst of overdue notes
+    if (musicNextStepTime < audioContext.currentTime) {
+        musicNextStepTime = audioContext.currentTime;
+    }
+    
+    while (musicNextStepTime < audioContext.currentTime + MUSIC_LOOKAHEAD) {
+        const stepDuration = getMusicStepDuration();
+        scheduleMusicStep(musicStep, musicNextStepTime, stepDuration);
+        musicNextStepTime += stepDuration;
+        musicStep++;
+    }
+}
+
+function scheduleMusicStep(step, time, stepDuration) {
+    const theme = MUSIC_THEMES[musicTheme];
+    const bar = Math.floor(step / MUSIC_STEPS_PER_BAR) % theme.chords.length;
+    const position = step % MUSIC_STEPS_PER_BAR;
+    const chord = theme.chords[bar];
+    const intensity = getMusicIntensity();
+    
+    const bass = theme.bass[position];
+    if (bass !== '.') {
+        playMusicNote('triangle', chord[0] - 12 + parseInt(bass, 36), time, stepDuration * 1.8, 0.9);
+    }
+    
+    const lead = (theme.lead || musicLead[bar])[position];
+    if (lead !== '.' && intensity >= theme.leadIntensity) {
+        const tone = parseInt(lead, 36);
+        const note = chord[tone % 3] + 12 * Math.floor(tone / 3) + 12;
+        playMusicNote('square', note, time, stepDuration * 1.6, 0.35);
+        if (intensity >= 2) {
+            playMusicNote('square', note + 12, time, stepDuration * 1.2, 0.15);
+        }
+    }
+    
+    const drums = theme.drums[Math.min(intensity, theme.drums.length - 1)];
+    const drum = drums[position];
+    if (drum === 'k') {
+        playKick(time);
+    } else if (drum === 's') {
+        playNoiseHit(time, 0.12, 1500, 0.5);
+    } else if (drum === 'h') {
+        playNoiseHit(time, 0.03, 7000, 0.2);
+    }
+}
+
+function playMusicNote(type, note, time, duration, volume) {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    
+    oscillator.connect(gainNode);
+    gainNode.connect(musicGain);
+    
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(440 * Math.pow(2, (note - 69) / 12), time);
+    gainNode.gain.setValueAtTime(volume, time);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+}
+
+function playKick(time) {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    
+    oscillator.connect(gainNode);
+    gainNode.connect(musicGain);
+    
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(150, time);
+    oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+    gainNode.gain.setValueAtTime(1.0, time);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, time + 0.15);
+    
+    oscillator.start(time);
+    oscillator.stop(time + 0.15);
+}
+
+// One second of white noise, shared by the drums and the obstacle whoosh
+function getNoiseBuffer() {
+    if (!noiseBuffer) {
+        noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+    return noiseBuffer;
+}
+
+// Snare and hi-hat: white noise through a high-pass filter
+function playNoiseHit(time, duration, cutoff, volume) {
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
+    const gainNode = audioContext.createGain();
+    
+    source.buffer = getNoiseBuffer();
+    filter.type = 'highpass';
+    filter.frequency.setValueAtTime(cutoff, time);
+    source.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(musicGain);
+    
+    gainNode.gain.setValueAtTime(volume, time);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    
+    source.start(time);
+    source.stop(time + duration);
+}
+
+// Obstacle audio
+// Each obstacle close ahead hums from its position relative to the fighter, through an
+// HRTF PannerNode, so threats above, below or to the side can be heard before they
+// turn orange. Its pitch slides down as it closes in and a whoosh plays as it passes.
+// Audio space: listener at the fighter facing -z; tunnel +x is screen left, so x flips.
+const HUM_RANGE = 12; // Tunnel units ahead at which a hum fades in (the tint starts at 4)
+const HUM_MAX_VOICES = 4;
+const HUM_VOLUME = 0.12;
+const HUM_FREQUENCIES = [73.42, 82.41, 98.00, 110.00, 130.81]; // D2 E2 G2 A2 C3, by shape
+const HUM_DOPPLER_SHIFT = 0.12; // Pitch bend either side of the pass
+const WHOOSH_VOLUME = 0.35;
+
+const obstacleHums = new Map(); // Obstacle -> { oscillator, gainNode, panner, lastDz, active }
+
+function setPannerPosition(panner, x, y, z, time) {
+    if (panner.positionX) {
+        panner.positionX.setTargetAtTime(x, time, 0.02);
+        panner.positionY.setTargetAtTime(y, time, 0.02);
+        panner.positionZ.setTargetAtTime(z, time, 0.02);
+    } else {
+        panner.setPosition(x, y, z);
+    }
+}
+
+// Direction only; loudness is set from distance along the tunnel instead
+function createObstaclePanner() {
+    const panner = audioContext.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.rolloffFactor = 0;
+    panner.connect(sfxBus);
+    return panner;
+}
+
+function startObstacleHum(obstacle) {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    const panner = createObstaclePanner();
+    
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = HUM_FREQUENCIES[obstacle.shape % HUM_FREQUENCIES.length];
+    gainNode.gain.value = 0;
+    oscillator.connect(gainNode);
+    gainNode.connect(panner);
+    oscillator.start();
+    
+    const hum = { oscillator: oscillator, gainNode: gainNode, panner: panner, lastDz: Infinity, active: true };
+    obstacleHums.set(obstacle, hum);
+    return hum;
+}
+
+function stopObstacleHum(obstacle, hum) {
+    const time = audioContext.currentTime;
+    hum.gainNode.gain.setTargetAtTime(0, time, 0.05);
+    hum.oscillator.stop(time + 0.3);
+    obstacleHums.delete(obstacle);
+}
+
+function stopAllObstacleHums() {
+    obstacleHums.forEach((hum, obstacle) => stopObstacleHum(obstacle, hum));
+}
+
+// Band-passed noise sweeping down, from where the obstacle went past; louder for near misses
+function playWhoosh(x, y) {
+    const time = audioContext.currentTime;
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
+    const gainNode = audioContext.createGain();
+    const panner = createObstaclePanner();
+    
+    source.buffer = getNoiseBuffer();
+    filter.type = 'bandpass';
+    filter.Q.value = 2;
+    filter.frequency.setValueAtTime(3000, time);
+    filter.frequency.exponentialRampToValueAtTime(300, time + 0.35);
+    source.connect(filter);
+    filter.connect(gainNode);
+    gainNode.connect(panner);
+    setPannerPosition(panner, x, y, 0, time);
+    
+    const closeness = 1 - Math.min(1, Math.hypot(x, y) / 1.5);
+    gainNode.gain.setValueAtTime(WHOOSH_VOLUME * (0.3 + 0.7 * closeness), time);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, time + 0.35);
+    
+    source.start(time);
+    source.stop(time + 0.35);
+}
+
+// Called every frame; hums only play while a run is actually moving
+function updateObstacleAudio() {
+    if (!audioContext) return;
+    
+    if (!gameState.gameRunning || gameState.paused) {
+        if (obstacleHums.size > 0) {
+            stopAllObstacleHums();
+        }
+        return;
+    }
+    
+    const time = audioContext.currentTime;
+    const playerZ = cameraPos[2] + 0.5;
+    obstacleHums.forEach(hum => {
+        hum.active = false;
+    });
+    
+    simState.obstacles.forEach(obstacle => {
+        const dz = obstacle.z - playerZ;
+        let hum = obstacleHums.get(obstacle);
+        if (dz > HUM_RANGE || dz < -2) return;
+        if (!hum) {
+            if (dz <= 0 || obstacleHums.size >= HUM_MAX_VOICES) return;
+            hum = startObstacleHum(obstacle);
+        }
+        hum.active = true;
+        
+        const x = -(obstacle.x - simState.playerX);
+        const y = obstacle.y - simState.playerY;
+        setPannerPosition(hum.panner, x, y, -dz, time);
+        
+        const approach = 1 - Math.abs(dz) / HUM_RANGE;
+        hum.gainNode.gain.setTargetAtTime(HUM_VOLUME * approach * approach, time, 0.05);
+        const bend = 1 + HUM_DOPPLER_SHIFT * Math.max(-1, Math.min(1, dz / 2));
+        hum.oscillator.frequency.setTargetAtTime(
+            HUM_FREQUENCIES[obstacle.shape % HUM_FREQUENCIES.length] * bend, time, 0.05);
+        
+        if (hum.lastDz > 0 && dz <= 0) {
+            playWhoosh(x, y);
+        }
+        hum.lastDz = dz;
+    });
+    
+    // Hit, passed or out of range
+    obstacleHums.forEach((hum, obstacle) => {
+        if (!hum.active) {
+            stopObstacleHum(obstacle, hum);
+        }
+    });
+}
+
+// Dynamic resolution
+// The drawing buffer is the window size times devicePixelRatio times renderScale, and
+// the canvas CSS stretches it back to the window. A frame-time monitor lowers the scale
+// when frames run over budget and raises it again after they have stayed on budget for
+// a while, waiting longer each time a raise had to be taken back. The budget is the
+// display's refresh interval: frame times are paced by vsync, so a 30 Hz display or a
+// browser capping the frame rate must not read as GPU load. Retro pixel mode instead
+// renders a fixed RETRO_LINES-tall buffer that is upscaled with hard edges.
+const RENDER_SCALE_MIN = 0.4;
+const RENDER_SCALE_MAX = 1.0;
+const RENDER_SCALE_STEP = 0.1;
+const FRAME_BUDGET_MIN = 1000 / 60; // ms; resolution is never traded for more than 60 fps
+const FRAME_SAMPLE_WINDOW = 500; // ms of frames averaged per decision
+const FRAME_STALL = 100; // Longer frames are a hiccup (tab switch, GC), not GPU load
+const RENDER_SCALE_RAISE_DELAY = 3000; // ms on budget before trying a higher scale
+const RENDER_SCALE_RAISE_DELAY_MAX = 30000;
+const RETRO_LINES = 240;
+
+let renderScale = RENDER_SCALE_MAX;
+const frameMonitor = {
+    time: 0,
+    frames: 0,
+    refreshInterval: FRAME_BUDGET_MIN, // Assumed until the frames show otherwise
+    droppedFrom: 0, // Average frame time before the last lowering, 0 once judged
+    droppedScale: RENDER_SCALE_MAX, // Scale before it
+    overBudget: 0, // Windows over budget in a row
+    onBudget: 0,
+    raiseDelay: RENDER_SCALE_RAISE_DELAY,
+    raised: false
+};
+
+// Called every frame with the real time since the last one
+function updateRenderScale(delta) {
+    if (!settings.dynamicResolution || settings.retroPixels || delta > FRAME_STALL) return;
+    
+    frameMonitor.time += delta;
+    frameMonitor.frames++;
+    if (frameMonitor.time < FRAME_SAMPLE_WINDOW) return;
+    
+    const average = frameMonitor.time / frameMonitor.frames;
+    frameMonitor.time = 0;
+    frameMonitor.frames = 0;
+    
+    // Frames pacing faster than the assumed refresh mean a faster display
+    if (average < frameMonitor.refreshInterval * 0.9) {
+        frameMonitor.refreshInterval = average;
+    }
+    
+    // Judge the last lowering. Vsync rounds frame times up to whole refreshes, so one
+    // step may buy nothing visible: keep stepping down until frames get faster. If even
+    // the lowest scale is no faster, they wait on the display rather than the GPU, so
+    // its refresh interval is longer than assumed: adopt it and undo the lowering.
+    if (frameMonitor.droppedFrom) {
+        if (average < frameMonitor.droppedFrom * 0.95) {
+            frameMonitor.droppedFrom = 0;
+        } else if (renderScale > RENDER_SCALE_MIN) {
+            setRenderScale(renderScale - RENDER_SCALE_STEP);
+            return;
+        } else {
+            frameMonitor.refreshInterval = average;
+            frameMonitor.droppedFrom = 0;
+            setRenderScale(frameMonitor.droppedScale);
+            return;
+        }
+    }
+    
+    const budget = Math.max(frameMonitor.refreshInterval, FRAME_BUDGET_MIN);
+    if (average > budget * 1.1) {
+        // Only after two windows in a row, so droppedFrom is measured at the current load
+        // rather than across a change in it
+        frameMonitor.overBudget++;
+        if (frameMonitor.overBudget >= 2 && renderScale > RENDER_SCALE_MIN) {
+            frameMonitor.droppedFrom = average;
+            frameMonitor.droppedScale = renderScale;
+            frameMonitor.overBudget = 0;
+            setRenderScale(renderScale - RENDER_SCALE_STEP);
+            if (frameMonitor.raised) {
+                frameMonitor.raiseDelay = Math.min(frameMonitor.raiseDelay * 2, RENDER_SCALE_RAISE_DELAY_MAX);
+            }
+            frameMonitor.raised = false;
+        }
+        frameMonitor.onBudget = 0;
+        return;
+    }
+    
+    frameMonitor.overBudget = 0;
+    if (average < budget * 1.05) {
+        frameMonitor.onBudget += FRAME_SAMPLE_WINDOW;
+        if (frameMonitor.onBudget >= frameMonitor.raiseDelay && renderScale < RENDER_SCALE_MAX) {
+            setRenderScale(renderScale + RENDER_SCALE_STEP);
+            frameMonitor.onBudget = 0;
+            frameMonitor.raised = true;
+        }
+    } else {
+        frameMonitor.onBudget = 0;
+    }
+}
+
+function setRenderScale(scale) {
+    renderScale = Math.round(Math.min(RENDER_SCALE_MAX, Math.max(RENDER_SCALE_MIN, scale)) * 100) / 100;
+    resizeCanvas();
+}
+
+// Turning the monitor off goes back to full resolution and forgets what it measured
+function setDynamicResolution(enabled) {
+    setSetting('dynamicResolution', enabled);
+    frameMonitor.time = 0;
+    frameMonitor.frames = 0;
+    frameMonitor.refreshInterval = FRAME_BUDGET_MIN;
+    frameMonitor.droppedFrom = 0;
+    frameMonitor.overBudget = 0;
+    frameMonitor.onBudget = 0;
+    frameMonitor.raiseDelay = RENDER_SCALE_RAISE_DELAY;
+    frameMonitor.raised = false;
+    setRenderScale(RENDER_SCALE_MAX);
+}
+
+function setRetroPixels(enabled) {
+    setSetting('retroPixels', enabled);
+    resizeCanvas();
+}
+
+function resizeCanvas() {
+    // デバイスピクセル比を取得（Retina等の高解像度ディスプレイ対応）
+    const devicePixelRatio = window.devicePixelRatio || 1;
+    
+    // 表示サイズ（CSS pixels）
+    const displayWidth = window.innerWidth;
+    const displayHeight = window.innerHeight;
+    
+    // 実際の描画解像度（device pixels）; lowered by dynamic resolution, or fixed in retro pixel mode
+    const pixelRatio = settings.retroPixels ? RETRO_LINES / displayHeight : devicePixelRatio * renderScale;
+    const drawingBufferWidth = Math.max(1, Math.floor(displayWidth * pixelRatio));
+    const drawingBufferHeight = Math.max(1, Math.floor(displayHeight * pixelRatio));
+    
+    // Canvasの表示サイズを設定（CSS）
     canvas.style.width = displayWidth + 'px';
     canvas.style.height = displayHeight + 'px';
+    canvas.classList.toggle('retro-pixels', settings.retroPixels);
+    
+    // Canvasの描画バッファサイズを設定（実際の解像度）
+    if (canvas.width !== drawingBufferWidth || canvas.height !== drawingBufferHeight) {
+        canvas.width = drawingBufferWidth;
+        canvas.height = drawingBufferHeight;
+        
+        // WebGLビューポートを更新
+        gl.viewport(0, 0, canvas.width, canvas.height);
+    }
+}
+
+// Shader utilities
+function createShader(type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        console.error('Shader compile error:', gl.getShaderInfoLog(shader));
+        gl.deleteShader(shader);
+        return null;
+    }
+    
+    return shader;
+}
+
+// Link a program and resolve its active uniforms and attributes once, as
+// program.uniforms / program.attributes keyed by name. Names the compiler optimized
+// away are absent, and setting an undefined location is a no-op.
+function createProgram(vertexSource, fragmentSource) {
+    const vertexShader = createShader(gl.VERTEX_SHADER, vertexSource);
+    const fragmentShader = createShader(gl.FRAGMENT_SHADER, fragmentSource);
+    
+    // attachShader throws on null, so a failed compile has to stop here
+    if (!vertexShader || !fragmentShader) {
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        return null;
+    }
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, fragmentShader);
+    // Some drivers require attribute 0 to be per-vertex, which instanced draws can't guarantee otherwise
+    gl.bindAttribLocation(program, 0, 'a_position');
+    gl.linkProgram(program);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error('Program link error:', gl.getProgramInfoLog(program));
+        return null;
+    }
+    
+    program.uniforms = {};
+    const uniformCount = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < uniformCount; i++) {
+        const name = gl.getActiveUniform(program, i).name;
+        // Arrays are reported as name[0], whose location addresses the whole array
+        program.uniforms[name.replace(/\[0\]$/, '')] = gl.getUniformLocation(program, name);
+    }
+    
+    program.attributes = {};
+    const attributeCount = gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES);
+    for (let i = 0; i < attributeCount; i++) {
+        const name = gl.getActiveAttrib(program, i).name;
+        program.attributes[name] = gl.getAttribLocation(program, name);
+    }
+    
+    return program;
+}
+
+// Variant of a program with INSTANCED defined; null when instancing is unavailable
+function createInstancedProgram(vertexSource, fragmentSource) {
+    if (!instancing) return null;
+    return createProgram('#define INSTANCED\n' + vertexSource, fragmentSource);
+}
+
+// Offscreen render target: RGBA color texture with an optional depth renderbuffer
+function createRenderTarget(width, height, withDepth, filter = gl.LINEAR) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    
+    let depthBuffer = null;
+    if (withDepth) {
+        depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+    }
+    
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    
+    return {
+        framebuffer: framebuffer,
+        texture: texture,
+        depthBuffer: depthBuffer,
+        width: width,
+        height: height,
+        complete: complete
+    };
+}
+
+function resizeRenderTarget(target, width, height) {
+    if (target.width === width && target.height === height) return;
+    
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    
+    if (target.depthBuffer) {
+        gl.bindRenderbuffer(gl.RENDERBUFFER, target.depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+    }
+    
+    target.width = width;
+    target.height = height;
+}
+
+function bindRenderTarget(target) {
+    if (target) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+    } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.viewport(0, 0, canvas.width, canvas.height);
+    }
+}
+
+// Bind a vertex buffer to an attribute, skipping attributes the program optimized away
+function bindAttribute(location, buffer, size) {
+    if (location === undefined) return;
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+}
+
+// Matrix utilities
+function createMatrix4() {
+    return new Float32Array(16);
+}
+
+function identity(out) {
+    out[0] = 1; out[1] = 0; out[2] = 0; out[3] = 0;
+    out[4] = 0; out[5] = 1; out[6] = 0; out[7] = 0;
+    out[8] = 0; out[9] = 0; out[10] = 1; out[11] = 0;
+    out[12] = 0; out[13] = 0; out[14] = 0; out[15] = 1;
+    return out;
+}
+
+function perspective(out, fovy, aspect, near, far) {
+    const f = 1.0 / Math.tan(fovy / 2);
+    const nf = 1 / (near - far);
+    
+    out[0] = f / aspect; out[1] = 0; out[2] = 0; out[3] = 0;
+    out[4] = 0; out[5] = f; out[6] = 0; out[7] = 0;
+    out[8] = 0; out[9] = 0; out[10] = (far + near) * nf; out[11] = -1;
+    out[12] = 0; out[13] = 0; out[14] = (2 * far * near) * nf; out[15] = 0;
+    return out;
+}
+
+function orthographic(out, left, right, bottom, top, near, far) {
+    const lr = 1 / (left - right);
+    const bt = 1 / (bottom - top);
+    const nf = 1 / (near - far);
+    
+    out[0] = -2 * lr; out[1] = 0; out[2] = 0; out[3] = 0;
+    out[4] = 0; out[5] = -2 * bt; out[6] = 0; out[7] = 0;
+    out[8] = 0; out[9] = 0; out[10] = 2 * nf; out[11] = 0;
+    out[12] = (left + right) * lr; out[13] = (top + bottom) * bt; out[14] = (far + near) * nf; out[15] = 1;
+    return out;
+}
+
+function lookAt(out, eye, center, up) {
+    const x0 = eye[0], x1 = eye[1], x2 = eye[2];
+    const y0 = center[0], y1 = center[1], y2 = center[2];
+    const z0 = up[0], z1 = up[1], z2 = up[2];
+    
+    if (Math.abs(x0 - y0) < 0.000001 &&
+        Math.abs(x1 - y1) < 0.000001 &&
+        Math.abs(x2 - y2) < 0.000001) {
+        return identity(out);
+    }
+    
+    let z0f = x0 - y0, z1f = x1 - y1, z2f = x2 - y2;
+    let len = 1 / Math.hypot(z0f, z1f, z2f);
+    z0f *= len; z1f *= len; z2f *= len;
+    
+    let x0f = z1 * z2f - z2 * z1f;
+    let x1f = z2 * z0f - z0 * z2f;
+    let x2f = z0 * z1f - z1 * z0f;
+    len = Math.hypot(x0f, x1f, x2f);
+    if (!len) {
+        x0f = 0; x1f = 0; x2f = 0;
+    } else {
+        len = 1 / len;
+        x0f *= len; x1f *= len; x2f *= len;
+    }
+    
+    let y0f = z1f * x2f - z2f * x1f;
+    let y1f = z2f * x0f - z0f * x2f;
+    let y2f = z0f * x1f - z1f * x0f;
+    
+    out[0] = x0f; out[1] = y0f; out[2] = z0f; out[3] = 0;
+    out[4] = x1f; out[5] = y1f; out[6] = z1f; out[7] = 0;
+    out[8] = x2f; out[9] = y2f; out[10] = z2f; out[11] = 0;
+    out[12] = -(x0f * x0 + x1f * x1 + x2f * x2);
+    out[13] = -(y0f * x0 + y1f * x1 + y2f * x2);
+    out[14] = -(z0f * x0 + z1f * x1 + z2f * x2);
+    out[15] = 1;
+    
+    return out;
+}
+
+function translate(out, a, v) {
+    const x = v[0], y = v[1], z = v[2];
+    if (a === out) {
+        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
+        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
+        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
+        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
+    } else {
+        for (let i = 0; i < 12; i++) out[i] = a[i];
+        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
+        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
+        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
+        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
+    }
+    return out;
+}
+
+function scale(out, a, v) {
+    const x = v[0], y = v[1], z = v[2];
+    out[0] = a[0] * x; out[1] = a[1] * x; out[2] = a[2] * x; out[3] = a[3] * x;
+    out[4] = a[4] * y; out[5] = a[5] * y; out[6] = a[6] * y; out[7] = a[7] * y;
+    out[8] = a[8] * z; out[9] = a[9] * z; out[10] = a[10] * z; out[11] = a[11] * z;
+    out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+    return out;
+}
+
+function rotateX(out, a, rad) {
+    const s = Math.sin(rad);
+    const c = Math.cos(rad);
+    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    
+    if (a !== out) {
+        out[0] = a[0]; out[1] = a[1]; out[2] = a[2]; out[3] = a[3];
+        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+    }
+    
+    out[4] = a10 * c + a20 * s;
+    out[5] = a11 * c + a21 * s;
+    out[6] = a12 * c + a22 * s;
+    out[7] = a13 * c + a23 * s;
+    out[8] = a20 * c - a10 * s;
+    out[9] = a21 * c - a11 * s;
+    out[10] = a22 * c - a12 * s;
+    out[11] = a23 * c - a13 * s;
+    return out;
+}
+
+function rotateY(out, a, rad) {
+    const s = Math.sin(rad);
+    const c = Math.cos(rad);
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+    
+    if (a !== out) {
+        out[4] = a[4]; out[5] = a[5]; out[6] = a[6]; out[7] = a[7];
+        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+    }
+    
+    out[0] = a00 * c - a20 * s;
+    out[1] = a01 * c - a21 * s;
+    out[2] = a02 * c - a22 * s;
+    out[3] = a03 * c - a23 * s;
+    out[8] = a00 * s + a20 * c;
+    out[9] = a01 * s + a21 * c;
+    out[10] = a02 * s + a22 * c;
+    out[11] = a03 * s + a23 * c;
+    return out;
+}
+
+function rotateZ(out, a, rad) {
+    const s = Math.sin(rad);
+    const c = Math.cos(rad);
+    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
+    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
+    
+    if (a !== out) {
+        out[8] = a[8]; out[9] = a[9]; out[10] = a[10]; out[11] = a[11];
+        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+    }
+    
+    out[0] = a00 * c + a10 * s;
+    out[1] = a01 * c + a11 * s;
+    out[2] = a02 * c + a12 * s;
+    out[3] = a03 * c + a13 * s;
+    out[4] = a10 * c - a00 * s;
+    out[5] = a11 * c - a01 * s;
+    out[6] = a12 * c - a02 * s;
+    out[7] = a13 * c - a03 * s;
+    return out;
+}
+
+// Create tunnel geometry
+// Tunnel path
+// The simulation lives in tunnel space; on screen its z axis is a Catmull-Rom spline
+// through seeded control points, and x/y follow the spline's local side/up frame
+const PATH_POINT_SPACING = 20;
+const PATH_STRAIGHT_POINTS = 3; // Runs start on a straight
+const PATH_MAX_TURN = 0.35; // Largest heading change between control points (radians)
+const PATH_MAX_YAW = 1.2; // Heading limits keep the path from doubling back on itself
+const PATH_MAX_PITCH = 0.35;
+const TUNNEL_CHUNK_LENGTH = 16;
+const TUNNEL_RING_SIDES = 32;
+const TUNNEL_VIEW_BEHIND = 5;
+const TUNNEL_VIEW_AHEAD = 80;
+const TUNNEL_TEXTURE_REPEAT = 4; // Pattern tiles around the wall, one per face of the square section
+// Pattern tiles along a chunk. v starts again on every chunk, so it never grows large
+// enough to lose precision in the shader.
+const TUNNEL_TEXTURE_LENGTH = 4;
+
+function createTunnelPath(seed) {
+    return {
+        seed: seed,
+        // Separate stream from the simulation's, so bends never change gameplay rolls
+        random: createRandom(seed ^ 0x5BD1E995),
+        points: [],
+        runUp: [], // Control points behind the start, by negated index
+        yaw: 0,
+        pitch: 0
+    };
+}
+
+function getPathControlPoint(path, index) {
+    // Straight run-up behind the start
+    if (index < 0) {
+        if (!path.runUp[-index]) {
+            path.runUp[-index] = [0, 0, index * PATH_POINT_SPACING];
+        }
+        return path.runUp[-index];
+    }
+    
+    while (path.points.length <= index) {
+        const i = path.points.length;
+        if (i >= PATH_STRAIGHT_POINTS) {
+            path.yaw += (path.random() - 0.5) * 2 * PATH_MAX_TURN;
+            path.yaw = Math.max(-PATH_MAX_YAW, Math.min(PATH_MAX_YAW, path.yaw));
+            path.pitch += (path.random() - 0.5) * PATH_MAX_TURN;
+            path.pitch = Math.max(-PATH_MAX_PITCH, Math.min(PATH_MAX_PITCH, path.pitch));
+        }
+        
+        const previous = getPathControlPoint(path, i - 1);
+        const cosPitch = Math.cos(path.pitch);
+        path.points.push([
+            previous[0] + Math.sin(path.yaw) * cosPitch * PATH_POINT_SPACING,
+            previous[1] + Math.sin(path.pitch) * PATH_POINT_SPACING,
+            previous[2] + Math.cos(path.yaw) * cosPitch * PATH_POINT_SPACING
+        ]);
+    }
+    
+    return path.points[index];
+}
+
+// Local frame at tunnel distance z as a model matrix: columns side, up, tangent, position
+function getPathFrame(path, z, out) {
+    const u = z / PATH_POINT_SPACING;
+    const index = Math.floor(u);
+    const t = u - index;
+    const p0 = getPathControlPoint(path, index - 1);
+    const p1 = getPathControlPoint(path, index);
+    const p2 = getPathControlPoint(path, index + 1);
+    const p3 = getPathControlPoint(path, index + 2);
+    
+    // Position goes straight into column 3 and the tangent into column 2
+    for (let i = 0; i < 3; i++) {
+        const a = -p0[i] + p2[i];
+        const b = 2 * p0[i] - 5 * p1[i] + 4 * p2[i] - p3[i];
+        const c = -p0[i] + 3 * p1[i] - 3 * p2[i] + p3[i];
+        out[12 + i] = 0.5 * (2 * p1[i] + a * t + b * t * t + c * t * t * t);
+        out[8 + i] = a + 2 * b * t + 3 * c * t * t;
+    }
+    
+    let length = Math.hypot(out[8], out[9], out[10]);
+    const tx = out[8] / length, ty = out[9] / length, tz = out[10] / length;
+    
+    // side = normalize(worldUp x tangent), up = tangent x side; pitch limits keep this well defined
+    length = Math.hypot(tz, tx);
+    const sx = tz / length, sz = -tx / length;
+    
+    out[0] = sx; out[1] = 0; out[2] = sz; out[3] = 0;
+    out[4] = ty * sz; out[5] = tz * sx - tx * sz; out[6] = -ty * sx; out[7] = 0;
+    out[8] = tx; out[9] = ty; out[10] = tz; out[11] = 0;
+    out[15] = 1;
+    return out;
+}
+
+function transformTunnelPoint(frame, x, y, out) {
+    out[0] = frame[12] + frame[0] * x + frame[4] * y;
+    out[1] = frame[13] + frame[1] * x + frame[5] * y;
+    out[2] = frame[14] + frame[2] * x + frame[6] * y;
+    return out;
+}
+
+// Model matrix for an object at tunnel-space (x, y, z)
+function setTunnelTransform(out, x, y, z) {
+    getPathFrame(tunnelPath, z, out);
+    out[12] += out[0] * x + out[4] * y;
+    out[13] += out[1] * x + out[5] * y;
+    out[14] += out[2] * x + out[6] * y;
+    return out;
+}
+
+// Build the walls (and any lane divider) for one stretch of tunnel, in world space
+function createTunnelChunk(index) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    
+    const frame = createMatrix4();
+    const point = [0, 0, 0];
+    const ringVertexCount = TUNNEL_RING_SIDES + 1; // Seam vertex repeated for texture wrap
+    
+    const ringV = ring => ring / TUNNEL_CHUNK_LENGTH * TUNNEL_TEXTURE_LENGTH;
+    
+    const pushVertex = (x, y, normalX, normalY, normalZ, u, v) => {
+        transformTunnelPoint(frame, x, y, point);
+        positions.push(point[0], point[1], point[2]);
+        // Rotate the tunnel-space normal into the frame
+        normals.push(
+            frame[0] * normalX + frame[4] * normalY + frame[8] * normalZ,
+            frame[1] * normalX + frame[5] * normalY + frame[9] * normalZ,
+            frame[2] * normalX + frame[6] * normalY + frame[10] * normalZ
+        );
+        texCoords.push(u, v);
+        return positions.length / 3 - 1;
+    };
+    
+    // Walls: one ring per unit of distance
+    for (let ring = 0; ring <= TUNNEL_CHUNK_LENGTH; ring++) {
+        const z = index * TUNNEL_CHUNK_LENGTH + ring;
+        const section = getTunnelSection(tunnelPath.seed, z);
+        getPathFrame(tunnelPath, z, frame);
+        
+        const outline = [];
+        for (let side = 0; side <= TUNNEL_RING_SIDES; side++) {
+            const angle = side / TUNNEL_RING_SIDES * Math.PI * 2;
+            const distance = getWallDistance(section, angle);
+            outline.push([Math.cos(angle) * distance, Math.sin(angle) * distance]);
+        }
+        
+        // Texture runs by arc length so polygon faces get evenly sized tiles
+        const arcLengths = [0];
+        for (let side = 1; side <= TUNNEL_RING_SIDES; side++) {
+            const dx = outline[side][0] - outline[side - 1][0];
+            const dy = outline[side][1] - outline[side - 1][1];
+            arcLengths.push(arcLengths[side - 1] + Math.hypot(dx, dy));
+        }
+        const perimeter = arcLengths[TUNNEL_RING_SIDES];
+        
+        for (let side = 0; side <= TUNNEL_RING_SIDES; side++) {
+            // Inward normal from the neighbouring outline points; corners get the average
+            const before = outline[(side + TUNNEL_RING_SIDES - 1) % TUNNEL_RING_SIDES];
+            const after = outline[(side + 1) % TUNNEL_RING_SIDES];
+            const normalX = before[1] - after[1];
+            const normalY = after[0] - before[0];
+            const length = Math.hypot(normalX, normalY);
+            
+            pushVertex(outline[side][0], outline[side][1], normalX / length, normalY / length, 0,
+                arcLengths[side] / perimeter * TUNNEL_TEXTURE_REPEAT, ringV(ring));
+        }
+    }
+    
+    // Inward-facing quads between consecutive rings
+    for (let ring = 0; ring < TUNNEL_CHUNK_LENGTH; ring++) {
+        for (let side = 0; side < TUNNEL_RING_SIDES; side++) {
+            const a = ring * ringVertexCount + side;
+            const b = a + 1;
+            const c = a + ringVertexCount;
+            const d = c + 1;
+            indices.push(a, c, b);
+            indices.push(b, c, d);
+        }
+    }
+    
+    // Lane divider: a horizontal slab across the section, closed at both ends
+    const h = DIVIDER_HALF_THICKNESS;
+    for (let ring = 0; ring <= TUNNEL_CHUNK_LENGTH; ring++) {
+        const z = index * TUNNEL_CHUNK_LENGTH + ring;
+        const section = getTunnelSection(tunnelPath.seed, z);
+        if (!section.divider) continue;
+        
+        getPathFrame(tunnelPath, z, frame);
+        const w = section.radius;
+        
+        if (!getTunnelSection(tunnelPath.seed, z - 1).divider) {
+            const bl = pushVertex(-w, -h, 0, 0, -1, 0, 0);
+            const br = pushVertex(w, -h, 0, 0, -1, 1, 0);
+            const tr = pushVertex(w, h, 0, 0, -1, 1, 0.1);
+            const tl = pushVertex(-w, h, 0, 0, -1, 0, 0.1);
+            indices.push(bl, tl, br);
+            indices.push(br, tl, tr);
+        }
+        
+        if (!getTunnelSection(tunnelPath.seed, z + 1).divider) {
+            const bl = pushVertex(-w, -h, 0, 0, 1, 0, 0);
+            const br = pushVertex(w, -h, 0, 0, 1, 1, 0);
+            const tr = pushVertex(w, h, 0, 0, 1, 1, 0.1);
+            const tl = pushVertex(-w, h, 0, 0, 1, 0, 0.1);
+            indices.push(bl, br, tl);
+            indices.push(br, tr, tl);
+        } else if (ring < TUNNEL_CHUNK_LENGTH) {
+            // Top and bottom faces up to the next ring
+            const next = createMatrix4();
+            getPathFrame(tunnelPath, z + 1, next);
+            const nextW = getTunnelSection(tunnelPath.seed, z + 1).radius;
+            
+            const topL = pushVertex(-w, h, 0, 1, 0, 0, ringV(ring));
+            const topR = pushVertex(w, h, 0, 1, 0, 1, ringV(ring));
+            const bottomL = pushVertex(-w, -h, 0, -1, 0, 0, ringV(ring));
+            const bottomR = pushVertex(w, -h, 0, -1, 0, 1, ringV(ring));
+            frame.set(next);
+            const topL2 = pushVertex(-nextW, h, 0, 1, 0, 0, ringV(ring + 1));
+            const topR2 = pushVertex(nextW, h, 0, 1, 0, 1, ringV(ring + 1));
+            const bottomL2 = pushVertex(-nextW, -h, 0, -1, 0, 0, ringV(ring + 1));
+            const bottomR2 = pushVertex(nextW, -h, 0, -1, 0, 1, ringV(ring + 1));
+            
+            indices.push(topL, topL2, topR);
+            indices.push(topR, topL2, topR2);
+            indices.push(bottomL, bottomR, bottomL2);
+            indices.push(bottomR, bottomR2, bottomL2);
+        }
+    }
+    
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    
+    const normalBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    
+    const indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    
+    return {
+        position: positionBuffer,
+        normal: normalBuffer,
+        texCoord: texCoordBuffer,
+        indices: indexBuffer,
+        indexCount: indices.length
+    };
+}
+
+function deleteTunnelChunk(chunk) {
+    gl.deleteBuffer(chunk.position);
+    gl.deleteBuffer(chunk.normal);
+    gl.deleteBuffer(chunk.texCoord);
+    gl.deleteBuffer(chunk.indices);
+}
+
+// Keep chunks built for the stretch around the camera and drop the ones left behind
+function updateTunnelChunks(cameraZ) {
+    const first = Math.floor((cameraZ - TUNNEL_VIEW_BEHIND) / TUNNEL_CHUNK_LENGTH);
+    const last = Math.floor((cameraZ + TUNNEL_VIEW_AHEAD) / TUNNEL_CHUNK_LENGTH);
+    
+    for (let index = firstVisibleChunk; index <= lastVisibleChunk; index++) {
+        if (index < first || index > last) {
+            deleteTunnelChunk(tunnelChunks.get(index));
+            tunnelChunks.delete(index);
+        }
+    }
+    
+    for (let index = first; index <= last; index++) {
+        if (!tunnelChunks.has(index)) {
+            tunnelChunks.set(index, createTunnelChunk(index));
+        }
+    }
+    
+    firstVisibleChunk = first;
+    lastVisibleChunk = last;
+}
+
+// New path for a seed; chunks from the previous one are discarded
+function resetTunnel(seed) {
+    tunnelPath = createTunnelPath(seed);
+    tunnelChunks.forEach(deleteTunnelChunk);
+    tunnelChunks.clear();
+    firstVisibleChunk = 0;
+    lastVisibleChunk = -1;
+}
+
+// Create polyhedron obstacles
+// Upload a polyhedron shape as flat-shaded triangles plus polygon-outline wireframe
+function createPolyhedronBuffers(shape) {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    const wireframeIndices = [];
+    const edges = new Set();
+    
+    shape.faces.forEach(face => {
+        const baseIndex = positions.length / 3;
+        
+        // Duplicate vertices per face for flat normals
+        face.indices.forEach(index => {
+            const v = shape.vertices[index];
+            positions.push(v[0], v[1], v[2]);
+            normals.push(face.normal[0], face.normal[1], face.normal[2]);
+            texCoords.push(0.5, 0.5);
+        });
+        
+        // Triangle fan over the polygon
+        for (let i = 1; i < face.indices.length - 1; i++) {
+            indices.push(baseIndex, baseIndex + i, baseIndex + i + 1);
+        }
+        
+        // Outline edges only (no fan diagonals), each shared edge drawn once
+        face.indices.forEach((a, i) => {
+            const b = face.indices[(i + 1) % face.indices.length];
+            const key = Math.min(a, b) + ',' + Math.max(a, b);
+            if (!edges.has(key)) {
+                edges.add(key);
+                wireframeIndices.push(baseIndex + i, baseIndex + (i + 1) % face.indices.length);
+            }
+        });
+    });
+    
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    
+    const normalBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    
+    const indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    
+    const wireframeIndexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, wireframeIndexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(wireframeIndices), gl.STATIC_DRAW);
+    
+    return {
+        position: positionBuffer,
+        normal: normalBuffer,
+        texCoord: texCoordBuffer,
+        indices: indexBuffer,
+        indexCount: indices.length,
+        wireframeIndices: wireframeIndexBuffer,
+        wireframeIndexCount: wireframeIndices.length,
+        shape: shape
+    };
+}
+
+// Create fighter spacecraft model
+function createFighter() {
+    const positions = [];
+    const normals = [];
+    const texCoords = [];
+    const indices = [];
+    
+    // Fighter spacecraft vertices (simplified geometric shape)
+    // Main fuselage (elongated diamond shape)
+    const vertices = [
+        // Front nose (0)
+        [0.0, 0.0, 1.2],
+        
+        // Main body vertices (1-8)
+        [0.0, 0.15, 0.6],   // top front (1)
+        [0.0, -0.1, 0.6],   // bottom front (2)
+        [0.2, 0.0, 0.6],    // right front (3)
+        [-0.2, 0.0, 0.6],   // left front (4)
+        
+        [0.0, 0.1, -0.2],   // top rear (5)
+        [0.0, -0.08, -0.2], // bottom rear (6)
+        [0.15, 0.0, -0.2],  // right rear (7)
+        [-0.15, 0.0, -0.2], // left rear (8)
+        
+        // Wing tips (9-12)
+        [0.6, 0.0, 0.0],    // right wing tip (9)
+        [-0.6, 0.0, 0.0],   // left wing tip (10)
+        [0.4, 0.0, -0.4],   // right wing rear (11)
+        [-0.4, 0.0, -0.4],  // left wing rear (12)
+        
+        // Engine exhausts (13-14)
+        [0.08, 0.0, -0.8],  // right engine (13)
+        [-0.08, 0.0, -0.8], // left engine (14)
+    ];
+    
+    // Define triangular faces for the fighter
+    const faces = [
+        // Nose section
+        [0, 1, 3], [0, 3, 2], [0, 2, 4], [0, 4, 1],
+        
+        // Main fuselage
+        [1, 5, 3], [3, 5, 7], [7, 5, 6], [6, 2, 7], [7, 2, 3],
+        [2, 6, 4], [4, 6, 8], [8, 6, 5], [5, 1, 8], [8, 1, 4],
+        
+        // Wings
+        [3, 7, 9], [7, 11, 9],
+        [4, 10, 8], [8, 10, 12],
+        
+        // Wing connections
+        [7, 13, 11], [8, 12, 14],
+        
+        // Bottom panels
+        [2, 13, 7], [6, 13, 2], [6, 14, 13], [6, 8, 14],
+        
+        // Engine exhausts
+        [13, 14, 6], [5, 13, 6], [5, 14, 13] // Simplified engine area
+    ];
+    
+    // Each face gets its own three vertices so it can carry a flat normal. Wireframe
+    // edges are keyed by the shared vertices, so an edge between two faces is drawn once.
+    const edges = new Set();
+    const wireframeIndices = [];
+    
+    faces.forEach(face => {
+        const [i1, i2, i3] = face;
+        
+        // Get vertices
+        const v1 = vertices[i1];
+        const v2 = vertices[i2];
+        const v3 = vertices[i3];
+        
+        // Calculate face normal
+        const edge1 = [v2[0] - v1[0], v2[1] - v1[1], v2[2] - v1[2]];
+        const edge2 = [v3[0] - v1[0], v3[1] - v1[1], v3[2] - v1[2]];
+        
+        const normal = [
+            edge1[1] * edge2[2] - edge1[2] * edge2[1],
+            edge1[2] * edge2[0] - edge1[0] * edge2[2],
+            edge1[0] * edge2[1] - edge1[1] * edge2[0]
+        ];
+        
+        // Normalize
+        const length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
+        if (length > 0) {
+            normal[0] /= length;
+            normal[1] /= length;
+            normal[2] /= length;
+        }
+        
+        // Add vertices and normals for this face
+        const baseIndex = positions.length / 3;
+        
+        [v1, v2, v3].forEach(v => {
+            positions.push(v[0], v[1], v[2]);
+            normals.push(normal[0], normal[1], normal[2]);
+            texCoords.push(0.5, 0.5);
+        });
+        
+        indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
+        
+        for (let i = 0; i < 3; i++) {
+            const a = face[i];
+            const b = face[(i + 1) % 3];
+            const key = Math.min(a, b) + ',' + Math.max(a, b);
+            if (!edges.has(key)) {
+                edges.add(key);
+                wireframeIndices.push(baseIndex + i, baseIndex + (i + 1) % 3);
+            }
+        }
+    });
+    
+    // Create buffers
+    const positionBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    
+    const normalBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    
+    const texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    
+    const indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    
+    const wireframeIndexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, wireframeIndexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(wireframeIndices), gl.STATIC_DRAW);
+    
+    return {
+        position: positionBuffer,
+        normal: normalBuffer,
+        texCoord: texCoordBuffer,
+        indices: indexBuffer,
+        indexCount: indices.length,
+        wireframeIndices: wireframeIndexBuffer,
+        wireframeIndexCount: wireframeIndices.length
+    };
+}
+
+// Helper function to check if restart is allowed
+function canRestartGame() {
+    return gameState.waitingForRestart && !gameState.enteringInitials &&
+        (Date.now() - gameState.gameOverTime) >= 2000; // 2 seconds delay
+}
+
+// Function to update restart message based on timer
+function updateRestartMessage() {
+    if (!gameState.waitingForRestart) return;
+    
+    const restartPrompt = document.querySelector('.restart-prompt');
+    if (!restartPrompt) return;
+    
+    if (gameState.enteringInitials) {
+        // submitInitials() picks the timer back up once the entry is saved
+        restartPrompt.style.visibility = 'hidden';
+    } else if (canRestartGame()) {
+        restartPrompt.textContent = t('restartPrompt');
+        restartPrompt.style.visibility = 'visible';
+        restartPrompt.classList.remove('waiting');
+    } else {
+        // Use same length text as placeholder to maintain width
+        restartPrompt.textContent = t('restartPrompt');
+        restartPrompt.style.visibility = 'hidden';
+        restartPrompt.classList.add('waiting');
+        
+        // Continue updating until restart is allowed
+        setTimeout(updateRestartMessage, 100);
+    }
+}
+
+// Input handling
+function setupInput() {
+    document.addEventListener('keydown', (e) => {
+        if (gameState.enteringInitials) {
+            handleInitialsKey(e);
+            return;
+        }
+        
+        if (settingsOpen) {
+            handleSettingsKey(e);
+            return;
+        }
+        
+        // Typing into a custom rules field shouldn't steer or start a run
+        if (e.target.closest && e.target.closest('input')) {
+            return;
+        }
+        
+        if (e.code === 'Escape' || e.code === 'KeyP') {
+            e.preventDefault();
+            if (!e.repeat) {
+                togglePause();
+            }
+            return;
+        }
+        
+        if (e.code === 'KeyM') {
+            if (!e.repeat) {
+                toggleMute();
+            }
+            return;
+        }
+        
+        keys[e.code] = true;
+        if (e.code === 'Space') {
+            e.preventDefault();
+            if (gameState.paused) {
+                resumeGame();
+            } else if (gameState.waitingForRestart && canRestartGame()) {
+                restartGame();
+            } else if (gameState.showTitle) {
+                startGame();
+            }
+        }
+    });
+    
+    document.addEventListener('keyup', (e) => {
+        keys[e.code] = false;
+    });
+    
+    // Mouse input
+    document.addEventListener('mousedown', (e) => {
+        // Let form fields take focus; while the settings menu is up only its buttons respond
+        if (settingsOpen || e.target.closest('input')) {
+            return;
+        }
+        
+        e.preventDefault();
+        
+        // Check if click is on one of the corner buttons
+        if (e.target.closest('button')) {
+            return; // Don't start game if a button was clicked
+        }
+        
+        keys['MouseClick'] = true;
+        if (gameState.paused) {
+            resumeGame();
+        } else if (gameState.waitingForRestart && canRestartGame()) {
+            restartGame();
+        } else if (gameState.showTitle) {
+            startGame();
+        }
+    });
+    
+    document.addEventListener('mouseup', (e) => {
+        e.preventDefault();
+        keys['MouseClick'] = false;
+    });
+    
+    // Mouse steering in two-axis mode
+    document.addEventListener('mousemove', (e) => {
+        pointerPosition = [
+            e.clientX / window.innerWidth * 2 - 1,
+            1 - e.clientY / window.innerHeight * 2
+        ];
+    });
+    
+    document.documentElement.addEventListener('mouseleave', () => {
+        pointerPosition = null;
+    });
+    
+    // Touch input for mobile devices
+    document.addEventListener('touchstart', (e) => {
+        if (settingsOpen || e.target.closest('input')) {
+            return;
+        }
+        
+        e.preventDefault();
+        
+        // Check if touch is on one of the corner buttons
+        if (e.target.closest('button')) {
+            return; // Don't start game if a button was touched
+        }
+        
+        keys['Touch'] = true;
+        const touch = e.changedTouches[0];
+        touchDrag = { startX: touch.clientX, startY: touch.clientY, x: touch.clientX, y: touch.clientY };
+        if (gameState.paused) {
+            resumeGame();
+        } else if (gameState.waitingForRestart && canRestartGame()) {
+            restartGame();
+        } else if (gameState.showTitle) {
+            startGame();
+        }
+    });
+    
+    document.addEventListener('touchmove', (e) => {
+        if (!touchDrag) return;
+        touchDrag.x = e.touches[0].clientX;
+        touchDrag.y = e.touches[0].clientY;
+    });
+    
+    document.addEventListener('touchend', (e) => {
+        e.preventDefault();
+        keys['Touch'] = false;
+        touchDrag = null;
+    });
+    
+    document.addEventListener('touchcancel', (e) => {
+        e.preventDefault();
+        keys['Touch'] = false;
+        touchDrag = null;
+    });
+    
+    // モバイルブラウザでのコンテキストメニュー抑制
+    document.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        return false;
+    });
+    
+    // 長押しコンテキストメニュー抑制
+    document.addEventListener('selectstart', (e) => {
+        e.preventDefault();
+        return false;
+    });
+    
+    // iOS Safariでの長押しメニュー抑制
+    document.addEventListener('touchstart', (e) => {
+        if (e.touches.length > 1) {
+            e.preventDefault();
+        }
+    }, { passive: false });
+    
+    // Android Chromeでの長押しメニュー抑制
+    let touchTimeout;
+    document.addEventListener('touchstart', (e) => {
+        touchTimeout = setTimeout(() => {
+            // 長押し時の処理をキャンセル
+        }, 500);
+    });
+    
+    document.addEventListener('touchend', (e) => {
+        if (touchTimeout) {
+            clearTimeout(touchTimeout);
+        }
+    });
+    
+    document.addEventListener('touchmove', (e) => {
+        if (touchTimeout) {
+            clearTimeout(touchTimeout);
+        }
+    });
+}
+
+// Seed from ?seed= if present, otherwise a fresh one per run
+function chooseSeed() {
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam) {
+        return parseSeed(seedParam);
+    }
+    return Math.floor(Math.random() * 4294967296);
+}
+
+function getSeedURL(seed) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    return url.toString();
+}
+
+function copySeedURL() {
+    const btn = document.getElementById('copySeedBtn');
+    const seedURL = getSeedURL(simState.seed);
+    
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(seedURL).then(() => {
+            btn.textContent = t('copied');
+        }, () => {
+            window.prompt(t('seedURL'), seedURL);
+        });
+    } else {
+        window.prompt(t('seedURL'), seedURL);
+    }
+}
+
+// Input recording and replay
+// A run is fully determined by its seed, control mode, rules and the input at each
+// fixed step, so a replay only stores the steps where the input changed
+const GAME_VERSION = '1.5.0';
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_INPUT_FIELDS = {
+    oneKey: ['ascend'],
+    twoAxis: ['steerX', 'steerY']
+};
+
+let replayRecording = null; // Run currently being recorded
+let lastReplay = null; // Last finished run, available for export
+let activeReplay = null; // Replay currently being played back
+let replayEventIndex = 0;
+let replayInput = {};
+
+function readLiveInput() {
+    if (simState.controlMode === 'twoAxis') {
+        return readSteeringInput();
+    }
+    
+    // A pad trigger gives partial thrust; quantized like steering so replays stay compact
+    const thrust = Math.round(gamepadInput.thrust * STEER_RESOLUTION) / STEER_RESOLUTION;
+    return {
+        ascend: (keys['Space'] || keys['Touch'] || keys['MouseClick']) ? 1 : thrust
+    };
+}
+
+function beginRecording(seed) {
+    replayRecording = {
+        format: 'tunnel-runner-replay',
+        version: REPLAY_FORMAT_VERSION,
+        gameVersion: GAME_VERSION,
+        seed: seed,
+        controlMode: simState.controlMode,
+        rules: simState.rules,
+        timestep: FIXED_TIMESTEP,
+        fields: REPLAY_INPUT_FIELDS[simState.controlMode].slice(),
+        events: [],
+        lastInput: null
+    };
+}
+
+// Append [step, ...values] whenever any recorded field changes
+function recordInput(step, input) {
+    const values = replayRecording.fields.map(field => input[field]);
+    const last = replayRecording.lastInput;
+    
+    if (!last || values.some((value, i) => value !== last[i])) {
+        replayRecording.events.push([step].concat(values));
+        replayRecording.lastInput = values;
+    }
+}
+
+function finishRecording() {
+    if (!replayRecording) return;
+    
+    delete replayRecording.lastInput;
+    replayRecording.steps = simState.step;
+    replayRecording.score = simState.score;
+    replayRecording.recordedAt = new Date().toISOString();
+    lastReplay = replayRecording;
+    replayRecording = null;
+}
+
+function readReplayInput(step) {
+    const events = activeReplay.events;
     
-    // Canvasの描画バッファサイズを設定（実際の解像度）
-    if (canvas.width !== drawingBufferWidth || canvas.height !== drawingBufferHeight) {
-        canvas.width = drawingBufferWidth;
-        canvas.height = drawingBufferHeight;
-        
-        // WebGLビューポートを更新
-        gl.viewport(0, 0, canvas.width, canvas.height);
-        
-        console.log(`Canvas resized: Display ${displayWidth}x${displayHeight}, Buffer ${drawingBufferWidth}x${drawingBufferHeight}, DPR: ${devicePixelRatio}`);
+    while (replayEventIndex < events.length && events[replayEventIndex][0] <= step) {
+        const event = events[replayEventIndex];
+        activeReplay.fields.forEach((field, i) => {
+            replayInput[field] = event[i + 1];
+        });
+        replayEventIndex++;
     }
+    
+    return replayInput;
 }
 
-// Shader utilities
-function createShader(type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
+// Input for one simulation step: live input is recorded, replays are played back
+function getInput(step) {
+    if (activeReplay) {
+        return readReplayInput(step);
+    }
     
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        console.error('Shader compile error:', gl.getShaderInfoLog(shader));
-        gl.deleteShader(shader);
-        return null;
+    const input = readLiveInput();
+    if (replayRecording) {
+        recordInput(step, input);
     }
+    return input;
+}
+
+function exportReplay() {
+    if (!lastReplay) return;
+    
+    const blob = new Blob([JSON.stringify(lastReplay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `tunnel-runner-${lastReplay.seed}-${lastReplay.score}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Validate a replay file; throws with a readable message when it can't be played
+// Events are [step, ...values]: whole steps in order, then a number per field
+function isValidTimeline(events, fieldCount) {
+    let lastStep = 0;
     
-    return shader;
+    return events.every(event => {
+        if (!Array.isArray(event) || event.length !== fieldCount + 1) return false;
+        
+        const step = event[0];
+        if (!Number.isInteger(step) || step < lastStep) return false;
+        lastStep = step;
+        
+        return event.slice(1).every(value => Number.isFinite(value));
+    });
 }
 
-function createProgram(vertexSource, fragmentSource) {
-    const vertexShader = createShader(gl.VERTEX_SHADER, vertexSource);
-    const fragmentShader = createShader(gl.FRAGMENT_SHADER, fragmentSource);
+// First recorded rule that is not one of the simulation's numbers, or that a Custom
+// slider could not have produced; undefined when all of them are sound
+function findInvalidRule(rules) {
+    const known = createRules('normal');
     
-    const program = gl.createProgram();
-    gl.attachShader(program, vertexShader);
-    gl.attachShader(program, fragmentShader);
-    gl.linkProgram(program);
+    return Object.keys(rules).find(key => {
+        if (key === 'preset') return false;
+        
+        const value = rules[key];
+        if (!(key in known) || !Number.isFinite(value) || value < 0) return true;
+        
+        const field = CUSTOM_RULE_FIELDS.find(candidate => candidate.key === key);
+        return field !== undefined && (value < field.min || value > field.max);
+    });
+}
+
+function parseReplay(text) {
+    const replay = JSON.parse(text);
     
-    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-        console.error('Program link error:', gl.getProgramInfoLog(program));
-        return null;
+    if (!replay || replay.format !== 'tunnel-runner-replay') {
+        throw new Error('Not a replay file');
+    }
+    if (replay.version !== REPLAY_FORMAT_VERSION) {
+        throw new Error('Unsupported replay version ' + replay.version);
+    }
+    if (Math.abs(replay.timestep - FIXED_TIMESTEP) > 1e-9) {
+        throw new Error('Replay was recorded with a different timestep');
+    }
+    if (!Array.isArray(replay.fields) || !Array.isArray(replay.events)) {
+        throw new Error('Replay has no input timeline');
+    }
+    // Files from before two-axis steering existed have no control mode
+    replay.controlMode = replay.controlMode || 'oneKey';
+    if (!CONTROL_MODES.includes(replay.controlMode)) {
+        throw new Error('Unknown control mode ' + replay.controlMode);
+    }
+    // Playback trusts every event, so a malformed one has to be caught before the run
+    const knownFields = REPLAY_INPUT_FIELDS[replay.controlMode];
+    if (!replay.fields.every(field => knownFields.includes(field)) ||
+        !isValidTimeline(replay.events, replay.fields.length)) {
+        throw new Error('Replay has no input timeline');
+    }
+    if (replay.rules !== undefined) {
+        if (!replay.rules || typeof replay.rules !== 'object' || Array.isArray(replay.rules)) {
+            throw new Error('Replay rules are not an object');
+        }
+        const invalidRule = findInvalidRule(replay.rules);
+        if (invalidRule !== undefined) {
+            throw new Error('Invalid replay rule ' + invalidRule);
+        }
+    }
+    // Files from before rules presets were played with the Normal numbers
+    const preset = replay.rules ? replay.rules.preset : 'normal';
+    if (!RULE_PRESET_NAMES.includes(preset)) {
+        throw new Error('Unknown rules preset ' + preset);
+    }
+    replay.rules = createRules(preset, replay.rules);
+    if (replay.gameVersion !== GAME_VERSION) {
+        console.warn(`Replay recorded on version ${replay.gameVersion}, running ${GAME_VERSION}; the score may differ`);
     }
     
-    return program;
+    return replay;
 }
 
-// Matrix utilities
-function createMatrix4() {
-    return new Float32Array(16);
+function loadReplayFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            startGame(parseReplay(reader.result));
+        } catch (error) {
+            console.warn('Could not load replay:', error);
+            alert(t('loadReplayFailed', { error: error.message }));
+        }
+    };
+    reader.readAsText(file);
 }
 
-function identity(out) {
-    out[0] = 1; out[1] = 0; out[2] = 0; out[3] = 0;
-    out[4] = 0; out[5] = 1; out[6] = 0; out[7] = 0;
-    out[8] = 0; out[9] = 0; out[10] = 1; out[11] = 0;
-    out[12] = 0; out[13] = 0; out[14] = 0; out[15] = 1;
-    return out;
+// Two-axis steering input
+// Keys steer at full strength, then a gamepad; otherwise a touch drag or the mouse acts as a joystick
+// around its start point or the screen centre (the camera keeps the fighter centred)
+const STEER_KEYS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS']
+};
+const POINTER_DEAD_ZONE = 0.1; // NDC radius around the centre that holds position
+const POINTER_FULL_STEER = 0.6; // NDC offset that steers at full strength
+const TOUCH_DRAG_RANGE = 60; // Drag distance in pixels for full strength
+const STEER_RESOLUTION = 16; // Analog steering is quantized so replays stay compact
+
+function isSteerKeyDown(direction) {
+    return STEER_KEYS[direction].some(code => keys[code]);
 }
 
-function perspective(out, fovy, aspect, near, far) {
-    const f = 1.0 / Math.tan(fovy / 2);
-    const nf = 1 / (near - far);
+// Map an analog offset to -1..1 with a dead zone, quantized for recording
+function shapeSteer(value, deadZone, fullSteer) {
+    const magnitude = Math.min(1, Math.max(0, Math.abs(value) - deadZone) / (fullSteer - deadZone));
+    return Math.sign(value) * Math.round(magnitude * STEER_RESOLUTION) / STEER_RESOLUTION;
+}
+
+// Screen directions in, tunnel space out; tunnel +x is on the left of the screen
+function readSteeringInput() {
+    let screenX = 0;
+    let screenY = 0;
+    
+    const keyX = (isSteerKeyDown('right') ? 1 : 0) - (isSteerKeyDown('left') ? 1 : 0);
+    const keyY = (isSteerKeyDown('up') ? 1 : 0) - (isSteerKeyDown('down') ? 1 : 0);
+    
+    const padX = gamepadInput.dpadX || shapeSteer(gamepadInput.stickX, GAMEPAD_STICK_DEAD_ZONE, 1);
+    const padY = gamepadInput.dpadY || shapeSteer(gamepadInput.stickY, GAMEPAD_STICK_DEAD_ZONE, 1);
+    
+    if (keyX !== 0 || keyY !== 0) {
+        screenX = keyX;
+        screenY = keyY;
+    } else if (padX !== 0 || padY !== 0) {
+        screenX = padX;
+        screenY = padY;
+    } else if (touchDrag) {
+        screenX = shapeSteer((touchDrag.x - touchDrag.startX) / TOUCH_DRAG_RANGE, 0, 1);
+        screenY = shapeSteer((touchDrag.startY - touchDrag.y) / TOUCH_DRAG_RANGE, 0, 1);
+    } else if (pointerPosition) {
+        screenX = shapeSteer(pointerPosition[0], POINTER_DEAD_ZONE, POINTER_FULL_STEER);
+        screenY = shapeSteer(pointerPosition[1], POINTER_DEAD_ZONE, POINTER_FULL_STEER);
+    }
     
-    out[0] = f / aspect; out[1] = 0; out[2] = 0; out[3] = 0;
-    out[4] = 0; out[5] = f; out[6] = 0; out[7] = 0;
-    out[8] = 0; out[9] = 0; out[10] = (far + near) * nf; out[11] = -1;
-    out[12] = 0; out[13] = 0; out[14] = (2 * far * near) * nf; out[15] = 0;
-    return out;
+    // + 0 turns -0 into 0 so a centred stick doesn't record a spurious change
+    return { steerX: -screenX + 0, steerY: screenY + 0 };
 }
 
-function lookAt(out, eye, center, up) {
-    const x0 = eye[0], x1 = eye[1], x2 = eye[2];
-    const y0 = center[0], y1 = center[1], y2 = center[2];
-    const z0 = up[0], z1 = up[1], z2 = up[2];
+function setControlMode(mode) {
+    setSetting('controlMode', mode);
+    updateControlModeDisplay();
+}
+
+function toggleControlMode() {
+    setControlMode(settings.controlMode === 'oneKey' ? 'twoAxis' : 'oneKey');
+}
+
+function updateControlModeDisplay() {
+    const twoAxis = settings.controlMode === 'twoAxis';
+    document.getElementById('controlModeBtn').textContent = t(twoAxis ? 'controlsTwoAxis' : 'controlsOneKey');
+    document.querySelector('.instructions').textContent = t(twoAxis ? 'instructionsTwoAxis' : 'instructionsOneKey');
+}
+
+// Rules presets
+// Easy / Normal / Hard come from simulation.js; Custom starts from Normal with
+// the CUSTOM_RULE_FIELDS changed by the player
+const RULE_PRESET_LABELS = { easy: 'presetEasy', normal: 'presetNormal', hard: 'presetHard', custom: 'presetCustom' };
+
+function getSelectedRules() {
+    return createRules(settings.rulesPreset, settings.rulesPreset === 'custom' ? settings.customRules : {});
+}
+
+// Preset the HUD and leaderboard refer to: the selection on the title screen, otherwise the run's
+function getDisplayedPreset() {
+    return gameState.showTitle ? settings.rulesPreset : simState.rules.preset;
+}
+
+function cycleRulesPreset() {
+    const index = RULE_PRESET_NAMES.indexOf(settings.rulesPreset);
+    setSetting('rulesPreset', RULE_PRESET_NAMES[(index + 1) % RULE_PRESET_NAMES.length]);
+    updateRulesPresetDisplay();
+    renderLeaderboard();
+}
+
+function updateRulesPresetDisplay() {
+    const presetLabel = t(RULE_PRESET_LABELS[settings.rulesPreset]);
+    document.getElementById('rulesPresetBtn').textContent = t('rulesButton', { preset: presetLabel });
+    document.getElementById('customRules').style.display = settings.rulesPreset === 'custom' ? 'block' : 'none';
+    document.getElementById('leaderboardPreset').textContent = presetLabel;
+}
+
+// Build one number input per custom field; values are clamped and saved as they change
+function setupCustomRules() {
+    const container = document.getElementById('customRules');
+    const defaults = createRules('normal');
+    
+    CUSTOM_RULE_FIELDS.forEach(field => {
+        const label = document.createElement('label');
+        label.appendChild(createLabelText(field.label));
+        label.appendChild(document.createTextNode(' '));
+        
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = field.min;
+        input.max = field.max;
+        input.step = field.step;
+        input.value = field.key in settings.customRules ? settings.customRules[field.key] : defaults[field.key];
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            const clamped = isNaN(value) ? defaults[field.key] : Math.min(field.max, Math.max(field.min, value));
+            input.value = clamped;
+            const values = Object.assign({}, settings.customRules);
+            values[field.key] = clamped;
+            setSetting('customRules', values);
+        });
+        
+        label.appendChild(input);
+        container.appendChild(label);
+    });
     
-    if (Math.abs(x0 - y0) < 0.000001 &&
-        Math.abs(x1 - y1) < 0.000001 &&
-        Math.abs(x2 - y2) < 0.000001) {
-        return identity(out);
-    }
+    updateRulesPresetDisplay();
+}
+
+// Gamepad
+// The Gamepad API has no button events, so pads are polled every frame. Standard
+// mapping: RT (or A) thrust, stick/d-pad steer and navigate menus, A confirm,
+// B back, Start pause, Y fullscreen. Any connected pad can play.
+const GAMEPAD_BUTTONS = { a: 0, b: 1, y: 3, rightTrigger: 7, start: 9, up: 12, down: 13, left: 14, right: 15 };
+const GAMEPAD_STICK_DEAD_ZONE = 0.2;
+const GAMEPAD_NAV_THRESHOLD = 0.6; // Stick deflection that counts as a menu move
+const GAMEPAD_NAV_DELAY = 400; // ms before a held direction starts repeating
+const GAMEPAD_NAV_REPEAT = 150; // ms between repeats
+
+const gamepadInput = { thrust: 0, stickX: 0, stickY: 0, dpadX: 0, dpadY: 0 };
+let previousGamepadButtons = {}; // Pad index -> { buttonName: pressed } from the last poll
+let gamepadNavDirection = null; // Menu direction currently held
+let gamepadNavRepeatAt = 0;
+let gamepadFocus = null; // Button picked out for menu navigation
+
+function pollGamepads(currentTime) {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const buttons = {};
+    const justPressed = {};
     
-    let z0f = x0 - y0, z1f = x1 - y1, z2f = x2 - y2;
-    let len = 1 / Math.hypot(z0f, z1f, z2f);
-    z0f *= len; z1f *= len; z2f *= len;
+    gamepadInput.thrust = 0;
+    gamepadInput.stickX = 0;
+    gamepadInput.stickY = 0;
     
-    let x0f = z1 * z2f - z2 * z1f;
-    let x1f = z2 * z0f - z0 * z2f;
-    let x2f = z0 * z1f - z1 * z0f;
-    len = Math.hypot(x0f, x1f, x2f);
-    if (!len) {
-        x0f = 0; x1f = 0; x2f = 0;
-    } else {
-        len = 1 / len;
-        x0f *= len; x1f *= len; x2f *= len;
+    pads.forEach(pad => {
+        if (!pad || !pad.connected) return;
+        
+        const previous = previousGamepadButtons[pad.index] || {};
+        const current = {};
+        Object.keys(GAMEPAD_BUTTONS).forEach(name => {
+            const button = pad.buttons[GAMEPAD_BUTTONS[name]];
+            current[name] = !!button && button.pressed;
+            buttons[name] = buttons[name] || current[name];
+            justPressed[name] = justPressed[name] || (current[name] && !previous[name]);
+        });
+        previousGamepadButtons[pad.index] = current;
+        
+        const trigger = pad.buttons[GAMEPAD_BUTTONS.rightTrigger];
+        const thrust = Math.max(trigger ? trigger.value : 0, current.a ? 1 : 0);
+        gamepadInput.thrust = Math.max(gamepadInput.thrust, thrust);
+        
+        // Strongest stick wins; screen-up is positive like the other inputs
+        const stickX = pad.axes[0] || 0;
+        const stickY = -(pad.axes[1] || 0);
+        if (Math.hypot(stickX, stickY) > Math.hypot(gamepadInput.stickX, gamepadInput.stickY)) {
+            gamepadInput.stickX = stickX;
+            gamepadInput.stickY = stickY;
+        }
+    });
+    
+    gamepadInput.dpadX = (buttons.right ? 1 : 0) - (buttons.left ? 1 : 0);
+    gamepadInput.dpadY = (buttons.up ? 1 : 0) - (buttons.down ? 1 : 0);
+    
+    // Menus only; during a run the same inputs steer
+    if (!gameState.gameRunning || gameState.paused) {
+        updateGamepadNavigation(currentTime);
     }
     
-    let y0f = z1f * x2f - z2f * x1f;
-    let y1f = z2f * x0f - z0f * x2f;
-    let y2f = z0f * x1f - z1f * x0f;
+    if (settingsOpen) {
+        if (justPressed.a) activateSettingsFocus();
+        if (justPressed.b || justPressed.start) closeSettings();
+        return;
+    }
     
-    out[0] = x0f; out[1] = y0f; out[2] = z0f; out[3] = 0;
-    out[4] = x1f; out[5] = y1f; out[6] = z1f; out[7] = 0;
-    out[8] = x2f; out[9] = y2f; out[10] = z2f; out[11] = 0;
-    out[12] = -(x0f * x0 + x1f * x1 + x2f * x2);
-    out[13] = -(y0f * x0 + y1f * x1 + y2f * x2);
-    out[14] = -(z0f * x0 + z1f * x1 + z2f * x2);
-    out[15] = 1;
+    if (justPressed.a) handleGamepadConfirm();
+    if (justPressed.b) setGamepadFocus(null);
+    if (justPressed.start) handleGamepadStart();
+    if (justPressed.y) toggleFullscreen();
+}
+
+// D-pad or a firmly pushed stick, repeating while held like a keyboard
+function updateGamepadNavigation(currentTime) {
+    let direction = null;
+    if (gamepadInput.dpadY > 0 || gamepadInput.stickY > GAMEPAD_NAV_THRESHOLD) {
+        direction = 'up';
+    } else if (gamepadInput.dpadY < 0 || gamepadInput.stickY < -GAMEPAD_NAV_THRESHOLD) {
+        direction = 'down';
+    } else if (gamepadInput.dpadX < 0 || gamepadInput.stickX < -GAMEPAD_NAV_THRESHOLD) {
+        direction = 'left';
+    } else if (gamepadInput.dpadX > 0 || gamepadInput.stickX > GAMEPAD_NAV_THRESHOLD) {
+        direction = 'right';
+    }
     
-    return out;
+    if (direction !== gamepadNavDirection) {
+        gamepadNavDirection = direction;
+        gamepadNavRepeatAt = currentTime + GAMEPAD_NAV_DELAY;
+        if (direction) handleGamepadNavigation(direction);
+    } else if (direction && currentTime >= gamepadNavRepeatAt) {
+        gamepadNavRepeatAt = currentTime + GAMEPAD_NAV_REPEAT;
+        handleGamepadNavigation(direction);
+    }
 }
 
-function translate(out, a, v) {
-    const x = v[0], y = v[1], z = v[2];
-    if (a === out) {
-        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
-        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
-        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
-        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
+function handleGamepadNavigation(direction) {
+    if (settingsOpen) {
+        if (direction === 'up') moveSettingsFocus(-1);
+        if (direction === 'down') moveSettingsFocus(1);
+        if (direction === 'left' && settingsFocus < SETTINGS_MENU_ITEMS.length) stepSetting(SETTINGS_MENU_ITEMS[settingsFocus], -1);
+        if (direction === 'right' && settingsFocus < SETTINGS_MENU_ITEMS.length) stepSetting(SETTINGS_MENU_ITEMS[settingsFocus], 1);
+        return;
+    }
+    
+    if (gameState.enteringInitials) {
+        if (direction === 'up') cycleInitial(initialsEntry.cursor, 1);
+        if (direction === 'down') cycleInitial(initialsEntry.cursor, -1);
+        if (direction === 'left') moveInitialsCursor(-1);
+        if (direction === 'right') moveInitialsCursor(1);
+        return;
+    }
+    
+    const buttons = getMenuButtons();
+    if (buttons.length === 0) return;
+    
+    const step = (direction === 'up' || direction === 'left') ? -1 : 1;
+    const index = buttons.indexOf(gamepadFocus);
+    if (index === -1) {
+        setGamepadFocus(step > 0 ? buttons[0] : buttons[buttons.length - 1]);
     } else {
-        for (let i = 0; i < 12; i++) out[i] = a[i];
-        out[12] = a[0] * x + a[4] * y + a[8] * z + a[12];
-        out[13] = a[1] * x + a[5] * y + a[9] * z + a[13];
-        out[14] = a[2] * x + a[6] * y + a[10] * z + a[14];
-        out[15] = a[3] * x + a[7] * y + a[11] * z + a[15];
+        setGamepadFocus(buttons[(index + step + buttons.length) % buttons.length]);
     }
-    return out;
 }
 
-function scale(out, a, v) {
-    const x = v[0], y = v[1], z = v[2];
-    out[0] = a[0] * x; out[1] = a[1] * x; out[2] = a[2] * x; out[3] = a[3] * x;
-    out[4] = a[4] * y; out[5] = a[5] * y; out[6] = a[6] * y; out[7] = a[7] * y;
-    out[8] = a[8] * z; out[9] = a[9] * z; out[10] = a[10] * z; out[11] = a[11] * z;
-    out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
-    return out;
+// Visible buttons on whichever screen is up; initials have their own controls
+function getMenuButtons() {
+    let screen = null;
+    if (gameState.paused) {
+        screen = document.getElementById('pauseOverlay');
+    } else if (gameState.waitingForRestart) {
+        screen = document.getElementById('gameOver');
+    } else if (gameState.showTitle) {
+        screen = document.getElementById('titleScreen');
+    }
+    if (!screen) return [];
+    
+    return Array.from(screen.querySelectorAll('button')).filter(button =>
+        !button.closest('.initials-entry') && button.offsetParent !== null);
 }
 
-function rotateX(out, a, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
-    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
-    
-    if (a !== out) {
-        out[0] = a[0]; out[1] = a[1]; out[2] = a[2]; out[3] = a[3];
-        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+function setGamepadFocus(button) {
+    if (gamepadFocus) {
+        gamepadFocus.classList.remove('gamepad-focus');
+    }
+    gamepadFocus = button;
+    if (gamepadFocus) {
+        gamepadFocus.classList.add('gamepad-focus');
     }
-    
-    out[4] = a10 * c + a20 * s;
-    out[5] = a11 * c + a21 * s;
-    out[6] = a12 * c + a22 * s;
-    out[7] = a13 * c + a23 * s;
-    out[8] = a20 * c - a10 * s;
-    out[9] = a21 * c - a11 * s;
-    out[10] = a22 * c - a12 * s;
-    out[11] = a23 * c - a13 * s;
-    return out;
 }
 
-function rotateY(out, a, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
-    const a20 = a[8], a21 = a[9], a22 = a[10], a23 = a[11];
+// A: press the highlighted button, otherwise the same as Space
+function handleGamepadConfirm() {
+    if (gameState.enteringInitials) {
+        submitInitials();
+        return;
+    }
     
-    if (a !== out) {
-        out[4] = a[4]; out[5] = a[5]; out[6] = a[6]; out[7] = a[7];
-        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+    if (gamepadFocus && getMenuButtons().includes(gamepadFocus)) {
+        gamepadFocus.click();
+        return;
     }
     
-    out[0] = a00 * c - a20 * s;
-    out[1] = a01 * c - a21 * s;
-    out[2] = a02 * c - a22 * s;
-    out[3] = a03 * c - a23 * s;
-    out[8] = a00 * s + a20 * c;
-    out[9] = a01 * s + a21 * c;
-    out[10] = a02 * s + a22 * c;
-    out[11] = a03 * s + a23 * c;
-    return out;
+    if (gameState.paused) {
+        resumeGame();
+    } else if (gameState.waitingForRestart && canRestartGame()) {
+        setGamepadFocus(null);
+        restartGame();
+    } else if (gameState.showTitle) {
+        setGamepadFocus(null);
+        startGame();
+    }
 }
 
-function rotateZ(out, a, rad) {
-    const s = Math.sin(rad);
-    const c = Math.cos(rad);
-    const a00 = a[0], a01 = a[1], a02 = a[2], a03 = a[3];
-    const a10 = a[4], a11 = a[5], a12 = a[6], a13 = a[7];
-    
-    if (a !== out) {
-        out[8] = a[8]; out[9] = a[9]; out[10] = a[10]; out[11] = a[11];
-        out[12] = a[12]; out[13] = a[13]; out[14] = a[14]; out[15] = a[15];
+function handleGamepadStart() {
+    if (gameState.gameRunning) {
+        togglePause();
+    } else {
+        handleGamepadConfirm();
     }
-    
-    out[0] = a00 * c + a10 * s;
-    out[1] = a01 * c + a11 * s;
-    out[2] = a02 * c + a12 * s;
-    out[3] = a03 * c + a13 * s;
-    out[4] = a10 * c - a00 * s;
-    out[5] = a11 * c - a01 * s;
-    out[6] = a12 * c - a02 * s;
-    out[7] = a13 * c - a03 * s;
-    return out;
 }
 
-// Create tunnel geometry
-function createTunnel() {
-    const segments = 100;
-    const radius = 2;
-    const length = 50;
-    
-    const positions = [];
-    const normals = [];
-    const texCoords = [];
-    const indices = [];
+// Leaderboard
+// Top runs per rules preset in one versioned localStorage record; replaces the old bare 'highScore' key
+const LEADERBOARD_KEY = 'leaderboard';
+const LEADERBOARD_VERSION = 2;
+const LEADERBOARD_SIZE = 10;
+const INITIALS_LENGTH = 3;
+const INITIALS_CHARSET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+let leaderboard = loadLeaderboard();
+let initialsEntry = null; // { letters, cursor, run } while the game-over screen asks for initials
+
+function createEmptyLeaderboard() {
+    return { version: LEADERBOARD_VERSION, entries: [], lastInitials: 'AAA' };
+}
+
+// Read the stored leaderboard, migrating the single highScore value from older versions
+function loadLeaderboard() {
+    let data = null;
+    try {
+        data = JSON.parse(localStorage.getItem(LEADERBOARD_KEY));
+    } catch (error) {
+        console.warn('Ignoring unreadable leaderboard:', error);
+    }
     
-    // Create tunnel walls
-    for (let i = 0; i <= segments; i++) {
-        const z = (i / segments) * length;
-        
-        // Top wall
-        positions.push(-radius, radius, z);
-        positions.push(radius, radius, z);
-        normals.push(0, -1, 0);
-        normals.push(0, -1, 0);
-        texCoords.push(0, z / 5);
-        texCoords.push(1, z / 5);
-        
-        // Bottom wall
-        positions.push(-radius, -radius, z);
-        positions.push(radius, -radius, z);
-        normals.push(0, 1, 0);
-        normals.push(0, 1, 0);
-        texCoords.push(0, z / 5);
-        texCoords.push(1, z / 5);
-        
-        // Left wall
-        positions.push(-radius, -radius, z);
-        positions.push(-radius, radius, z);
-        normals.push(1, 0, 0);
-        normals.push(1, 0, 0);
-        texCoords.push(0, z / 5);
-        texCoords.push(1, z / 5);
-        
-        // Right wall
-        positions.push(radius, -radius, z);
-        positions.push(radius, radius, z);
-        normals.push(-1, 0, 0);
-        normals.push(-1, 0, 0);
-        texCoords.push(0, z / 5);
-        texCoords.push(1, z / 5);
-    }
-    
-    // Create indices for triangle strips
-    for (let i = 0; i < segments; i++) {
-        const base = i * 8;
-        
-        // Top wall
-        indices.push(base, base + 1, base + 8);
-        indices.push(base + 1, base + 9, base + 8);
-        
-        // Bottom wall
-        indices.push(base + 2, base + 10, base + 3);
-        indices.push(base + 3, base + 10, base + 11);
-        
-        // Left wall
-        indices.push(base + 4, base + 5, base + 12);
-        indices.push(base + 5, base + 13, base + 12);
-        
-        // Right wall
-        indices.push(base + 6, base + 14, base + 7);
-        indices.push(base + 7, base + 14, base + 15);
+    if (data && data.version === LEADERBOARD_VERSION && Array.isArray(data.entries)) {
+        return data;
     }
     
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    // Version 1 had no presets; every run was played with what is now Normal
+    if (data && data.version === 1 && Array.isArray(data.entries)) {
+        data.version = LEADERBOARD_VERSION;
+        data.entries.forEach(entry => {
+            entry.preset = 'normal';
+        });
+        saveLeaderboard(data);
+        return data;
+    }
     
-    const normalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    const board = createEmptyLeaderboard();
+    
+    // Before the leaderboard only the best score was kept, with nothing else about the run
+    const legacyHighScore = parseInt(localStorage.getItem('highScore') || '0');
+    if (legacyHighScore > 0) {
+        board.entries.push({
+            initials: '---',
+            preset: 'normal',
+            date: null,
+            score: legacyHighScore,
+            maxDifficulty: null,
+            hits: null,
+            duration: null
+        });
+    }
     
-    const texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    saveLeaderboard(board);
+    localStorage.removeItem('highScore');
+    return board;
+}
+
+function saveLeaderboard(board) {
+    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(board));
+}
+
+// Entries are kept sorted by score, so each preset's slice is already in rank order
+function getLeaderboardEntries(preset) {
+    return leaderboard.entries.filter(entry => entry.preset === preset);
+}
+
+function getHighScore(preset) {
+    const entries = getLeaderboardEntries(preset);
+    return entries.length > 0 ? entries[0].score : 0;
+}
+
+function qualifiesForLeaderboard(score, preset) {
+    const entries = getLeaderboardEntries(preset);
+    if (score <= 0) return false;
+    if (entries.length < LEADERBOARD_SIZE) return true;
+    return score > entries[entries.length - 1].score;
+}
+
+// Insert below any equal scores so earlier runs keep their place; returns the rank
+// index within the entry's preset
+function addLeaderboardEntry(entry) {
+    let index = leaderboard.entries.findIndex(existing => entry.score > existing.score);
+    if (index === -1) {
+        index = leaderboard.entries.length;
+    }
+    leaderboard.entries.splice(index, 0, entry);
     
-    const indexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    // Drop whatever falls off the bottom of this preset's table
+    const entries = getLeaderboardEntries(entry.preset);
+    entries.slice(LEADERBOARD_SIZE).forEach(dropped => {
+        leaderboard.entries.splice(leaderboard.entries.indexOf(dropped), 1);
+    });
     
+    leaderboard.lastInitials = entry.initials;
+    saveLeaderboard(leaderboard);
+    return entries.indexOf(entry);
+}
+
+// Run stats captured at game over, before the player has typed their initials
+function createRunRecord() {
     return {
-        position: positionBuffer,
-        normal: normalBuffer,
-        texCoord: texCoordBuffer,
-        indices: indexBuffer,
-        indexCount: indices.length
+        preset: simState.rules.preset,
+        date: new Date().toISOString(),
+        score: simState.score,
+        // Difficulty only ever rises with score, so the final value is the peak
+        maxDifficulty: Math.round(getDifficultyMultiplier() * 10) / 10,
+        hits: simState.hits,
+        duration: Math.round(simState.time)
     };
 }
 
-// Create polyhedron obstacles
-function createIcosahedron() {
-    const t = (1.0 + Math.sqrt(5.0)) / 2.0;
-    
-    const positions = [
-        -1, t, 0,  1, t, 0,  -1, -t, 0,  1, -t, 0,
-        0, -1, t,  0, 1, t,  0, -1, -t,  0, 1, -t,
-        t, 0, -1,  t, 0, 1,  -t, 0, -1,  -t, 0, 1
-    ];
-    
-    const indices = [
-        0, 11, 5,  0, 5, 1,  0, 1, 7,  0, 7, 10,  0, 10, 11,
-        1, 5, 9,  5, 11, 4,  11, 10, 2,  10, 7, 6,  7, 1, 8,
-        3, 9, 4,  3, 4, 2,  3, 2, 6,  3, 6, 8,  3, 8, 9,
-        4, 9, 5,  2, 4, 11,  6, 2, 10,  8, 6, 7,  9, 8, 1
-    ];
-    
-    // Calculate flat normals (per-face)
-    const normals = [];
-    for (let i = 0; i < indices.length; i += 3) {
-        const i1 = indices[i] * 3;
-        const i2 = indices[i + 1] * 3;
-        const i3 = indices[i + 2] * 3;
-        
-        // Get triangle vertices
-        const v1 = [positions[i1], positions[i1 + 1], positions[i1 + 2]];
-        const v2 = [positions[i2], positions[i2 + 1], positions[i2 + 2]];
-        const v3 = [positions[i3], positions[i3 + 1], positions[i3 + 2]];
-        
-        // Calculate face normal using cross product
-        const edge1 = [v2[0] - v1[0], v2[1] - v1[1], v2[2] - v1[2]];
-        const edge2 = [v3[0] - v1[0], v3[1] - v1[1], v3[2] - v1[2]];
+function formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const seconds = totalSeconds % 60;
+    return Math.floor(totalSeconds / 60) + ':' + (seconds < 10 ? '0' : '') + seconds;
+}
+
+// Shows the table for the selected preset, or for the run just finished on the game-over screen
+function renderLeaderboard(highlightIndex = -1) {
+    const body = document.getElementById('leaderboardBody');
+    body.textContent = '';
+    
+    const entries = getLeaderboardEntries(getDisplayedPreset());
+    document.getElementById('leaderboardEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+    
+    entries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        if (index === highlightIndex) {
+            row.className = 'highlight';
+        }
         
-        const normal = [
-            edge1[1] * edge2[2] - edge1[2] * edge2[1],
-            edge1[2] * edge2[0] - edge1[0] * edge2[2],
-            edge1[0] * edge2[1] - edge1[1] * edge2[0]
-        ];
+        [
+            index + 1,
+            entry.initials,
+            entry.score,
+            entry.maxDifficulty === null ? '-' : entry.maxDifficulty.toFixed(1) + 'x',
+            entry.hits === null ? '-' : entry.hits,
+            entry.duration === null ? '-' : formatDuration(entry.duration),
+            entry.date === null ? '-' : new Date(entry.date).toLocaleDateString(getLanguage())
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
         
-        // Normalize
-        const length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
-        if (length > 0) {
-            normal[0] /= length;
-            normal[1] /= length;
-            normal[2] /= length;
+        body.appendChild(row);
+    });
+}
+
+// Arcade-style initials entry
+// Up/Down or the arrow buttons cycle a letter, Left/Right move between slots, Enter or OK saves
+function beginInitialsEntry(run) {
+    gameState.enteringInitials = true;
+    initialsEntry = {
+        letters: leaderboard.lastInitials.split('').slice(0, INITIALS_LENGTH),
+        cursor: 0,
+        run: run
+    };
+    
+    document.getElementById('initialsEntry').style.display = 'block';
+    updateInitialsDisplay();
+}
+
+function updateInitialsDisplay() {
+    document.querySelectorAll('.initials-slot').forEach((slot, index) => {
+        slot.querySelector('.initials-letter').textContent = initialsEntry.letters[index];
+        slot.classList.toggle('active', index === initialsEntry.cursor);
+    });
+}
+
+function cycleInitial(slotIndex, direction) {
+    const letter = initialsEntry.letters[slotIndex];
+    const charIndex = Math.max(0, INITIALS_CHARSET.indexOf(letter));
+    const next = (charIndex + direction + INITIALS_CHARSET.length) % INITIALS_CHARSET.length;
+    initialsEntry.letters[slotIndex] = INITIALS_CHARSET[next];
+    initialsEntry.cursor = slotIndex;
+    updateInitialsDisplay();
+}
+
+function moveInitialsCursor(direction) {
+    initialsEntry.cursor = Math.max(0, Math.min(INITIALS_LENGTH - 1, initialsEntry.cursor + direction));
+    updateInitialsDisplay();
+}
+
+function handleInitialsKey(e) {
+    const typed = e.key.length === 1 ? e.key.toUpperCase() : '';
+    
+    if (e.code === 'ArrowUp') {
+        cycleInitial(initialsEntry.cursor, 1);
+    } else if (e.code === 'ArrowDown') {
+        cycleInitial(initialsEntry.cursor, -1);
+    } else if (e.code === 'ArrowLeft' || e.code === 'Backspace') {
+        moveInitialsCursor(-1);
+    } else if (e.code === 'ArrowRight') {
+        moveInitialsCursor(1);
+    } else if (e.code === 'Enter') {
+        if (!e.repeat) {
+            submitInitials();
         }
-        
-        // Add same normal for all three vertices of the triangle
-        normals.push(normal[0], normal[1], normal[2]);
-        normals.push(normal[0], normal[1], normal[2]);
-        normals.push(normal[0], normal[1], normal[2]);
+    } else if (typed && INITIALS_CHARSET.includes(typed)) {
+        // Typing a character fills the current slot and moves on, like a name entry screen
+        initialsEntry.letters[initialsEntry.cursor] = typed;
+        moveInitialsCursor(1);
+    } else {
+        return;
     }
     
-    // Rebuild positions and texCoords for flat shading
-    const flatPositions = [];
-    const flatTexCoords = [];
-    for (let i = 0; i < indices.length; i++) {
-        const vertIndex = indices[i] * 3;
-        flatPositions.push(positions[vertIndex], positions[vertIndex + 1], positions[vertIndex + 2]);
-        flatTexCoords.push(0.5, 0.5);
-    }
+    e.preventDefault();
+}
+
+function submitInitials() {
+    if (!initialsEntry) return;
     
-    // Update indices for flat shading (sequential)
-    const flatIndices = [];
-    for (let i = 0; i < indices.length; i++) {
-        flatIndices.push(i);
-    }
+    const entry = Object.assign({ initials: initialsEntry.letters.join('') }, initialsEntry.run);
+    const rank = addLeaderboardEntry(entry);
     
-    // Create wireframe edges by extracting unique edges from triangles
-    // Use flatIndices for wireframe to match flat shading vertex data
-    const edges = new Set();
-    for (let i = 0; i < flatIndices.length; i += 3) {
-        const a = flatIndices[i];
-        const b = flatIndices[i + 1];
-        const c = flatIndices[i + 2];
-        
-        // Add edges (ensure consistent ordering)
-        edges.add(Math.min(a, b) + ',' + Math.max(a, b));
-        edges.add(Math.min(b, c) + ',' + Math.max(b, c));
-        edges.add(Math.min(c, a) + ',' + Math.max(c, a));
-    }
+    initialsEntry = null;
+    gameState.enteringInitials = false;
+    document.getElementById('initialsEntry').style.display = 'none';
     
-    const wireframeIndices = [];
-    edges.forEach(edge => {
-        const [a, b] = edge.split(',').map(Number);
-        wireframeIndices.push(a, b);
-    });
+    showLeaderboardRank(rank);
+    renderLeaderboard(rank);
+    document.getElementById('finalHighScore').textContent = getHighScore(simState.rules.preset);
     
-    const texCoords = flatTexCoords;
+    // Restart delay counts from here, so a hurried Enter doesn't also skip the results
+    gameState.gameOverTime = Date.now();
+    updateRestartMessage();
+}
+
+function showLeaderboardRank(rank) {
+    const rankElement = document.getElementById('leaderboardRank');
+    rankElement.textContent = t('rank', { rank: rank + 1 });
+    rankElement.style.display = 'block';
+}
+
+function setupInitialsEntry() {
+    document.querySelectorAll('.initials-slot').forEach((slot, index) => {
+        slot.querySelector('.initials-up').addEventListener('click', () => cycleInitial(index, 1));
+        slot.querySelector('.initials-down').addEventListener('click', () => cycleInitial(index, -1));
+    });
     
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(flatPositions), gl.STATIC_DRAW);
+    document.getElementById('initialsOkBtn').addEventListener('click', submitInitials);
+}
+
+// Calculate difficulty multiplier based on score
+function getDifficultyMultiplier() {
+    return TunnelSimulation.getDifficultyMultiplier(simState);
+}
+
+function onSimulationEvent(type, listener) {
+    if (!simulationListeners[type]) {
+        simulationListeners[type] = [];
+    }
+    simulationListeners[type].push(listener);
+}
+
+function dispatchSimulationEvents(events) {
+    events.forEach(event => {
+        (simulationListeners[event.type] || []).forEach(listener => listener(event));
+    });
+}
+
+// Presentation side of the simulation events: HUD, audio and game flow
+function setupSimulationListeners() {
+    onSimulationEvent('wallHit', () => {
+        showDamageFlash();
+        playCollisionSound('wall');
+    });
     
-    const normalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    onSimulationEvent('obstacleHit', () => {
+        showDamageFlash();
+        playCollisionSound('obstacle');
+    });
     
-    const texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    onSimulationEvent('shieldBlocked', () => {
+        playCollisionSound('shield');
+    });
     
-    const indexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(flatIndices), gl.STATIC_DRAW);
+    onSimulationEvent('pickup', event => {
+        playPickupSound(event.pickupType);
+    });
     
-    const wireframeIndexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, wireframeIndexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(wireframeIndices), gl.STATIC_DRAW);
+    onSimulationEvent('effectExpired', () => {
+        playEffectExpiredSound();
+    });
     
-    return {
-        position: positionBuffer,
-        normal: normalBuffer,
-        texCoord: texCoordBuffer,
-        indices: indexBuffer,
-        indexCount: flatIndices.length,
-        wireframeIndices: wireframeIndexBuffer,
-        wireframeIndexCount: wireframeIndices.length
-    };
+    onSimulationEvent('gameOver', () => {
+        gameState.gameRunning = false;
+        updatePauseButton();
+        showGameOver();
+    });
 }
 
-// Create fighter spacecraft model
-function createFighter() {
-    const positions = [];
-    const normals = [];
-    const texCoords = [];
-    const indices = [];
+// Game logic
+function updateGame(deltaTime) {
+    if (gameState.showTitle || gameState.waitingForRestart) {
+        // Show title screen or waiting for restart, wait for input to start
+        if (gameState.showTitle) {
+            showTitleScreen();
+        }
+        return;
+    }
     
-    // Fighter spacecraft vertices (simplified geometric shape)
-    // Main fuselage (elongated diamond shape)
-    const vertices = [
-        // Front nose (0)
-        [0.0, 0.0, 1.2],
-        
-        // Main body vertices (1-8)
-        [0.0, 0.15, 0.6],   // top front (1)
-        [0.0, -0.1, 0.6],   // bottom front (2)
-        [0.2, 0.0, 0.6],    // right front (3)
-        [-0.2, 0.0, 0.6],   // left front (4)
-        
-        [0.0, 0.1, -0.2],   // top rear (5)
-        [0.0, -0.08, -0.2], // bottom rear (6)
-        [0.15, 0.0, -0.2],  // right rear (7)
-        [-0.15, 0.0, -0.2], // left rear (8)
-        
-        // Wing tips (9-12)
-        [0.6, 0.0, 0.0],    // right wing tip (9)
-        [-0.6, 0.0, 0.0],   // left wing tip (10)
-        [0.4, 0.0, -0.4],   // right wing rear (11)
-        [-0.4, 0.0, -0.4],  // left wing rear (12)
-        
-        // Engine exhausts (13-14)
-        [0.08, 0.0, -0.8],  // right engine (13)
-        [-0.08, 0.0, -0.8], // left engine (14)
-    ];
+    if (!gameState.gameRunning) return;
     
-    // Convert vertices to flat array
-    vertices.forEach(v => {
-        positions.push(v[0], v[1], v[2]);
-        texCoords.push(0.5, 0.5); // Simple UV mapping
-    });
+    const input = getInput(simState.step);
+    const result = stepSimulation(simState, input, deltaTime);
     
-    // Define triangular faces for the fighter
-    const faces = [
-        // Nose section
-        [0, 1, 3], [0, 3, 2], [0, 2, 4], [0, 4, 1],
-        
-        // Main fuselage
-        [1, 5, 3], [3, 5, 7], [7, 5, 6], [6, 2, 7], [7, 2, 3],
-        [2, 6, 4], [4, 6, 8], [8, 6, 5], [5, 1, 8], [8, 1, 4],
-        
-        // Wings
-        [3, 7, 9], [7, 11, 9],
-        [4, 10, 8], [8, 10, 12],
-        
-        // Wing connections
-        [7, 13, 11], [8, 12, 14],
-        
-        // Bottom panels
-        [2, 13, 7], [6, 13, 2], [6, 14, 13], [6, 8, 14],
-        
-        // Engine exhausts
-        [13, 14, 6], [5, 13, 6], [5, 14, 13] // Simplified engine area
-    ];
+    // Update camera position
+    cameraPos[0] = simState.playerX;
+    cameraPos[1] = simState.playerY;
+    cameraPos[2] = simState.distance;
     
-    // Calculate normals and build final arrays
-    faces.forEach(face => {
-        const [i1, i2, i3] = face;
-        
-        // Get vertices
-        const v1 = vertices[i1];
-        const v2 = vertices[i2];
-        const v3 = vertices[i3];
-        
-        // Calculate face normal
-        const edge1 = [v2[0] - v1[0], v2[1] - v1[1], v2[2] - v1[2]];
-        const edge2 = [v3[0] - v1[0], v3[1] - v1[1], v3[2] - v1[2]];
-        
-        const normal = [
-            edge1[1] * edge2[2] - edge1[2] * edge2[1],
-            edge1[2] * edge2[0] - edge1[0] * edge2[2],
-            edge1[0] * edge2[1] - edge1[1] * edge2[0]
-        ];
-        
-        // Normalize
-        const length = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
-        if (length > 0) {
-            normal[0] /= length;
-            normal[1] /= length;
-            normal[2] /= length;
-        }
-        
-        // Add vertices and normals for this face
-        const baseIndex = indices.length;
-        
-        [v1, v2, v3].forEach(v => {
-            positions.push(v[0], v[1], v[2]);
-            normals.push(normal[0], normal[1], normal[2]);
-            texCoords.push(0.5, 0.5);
-        });
-        
-        indices.push(baseIndex, baseIndex + 1, baseIndex + 2);
-    });
+    dispatchSimulationEvents(result.events);
+    
+    // Update UI
+    updateUI();
+}
+
+function updateUI() {
+    document.getElementById('lifeFill').style.width = simState.life + '%';
+    document.getElementById('score').textContent = simState.score;
+    
+    document.getElementById('highScore').textContent = getHighScore(getDisplayedPreset());
+    
+    // Display difficulty using shared calculation
+    const difficultyMultiplier = getDifficultyMultiplier();
+    document.getElementById('difficulty').textContent = difficultyMultiplier.toFixed(1) + 'x';
     
-    // Create wireframe edges
-    const edges = new Set();
-    for (let i = 0; i < indices.length; i += 3) {
-        const a = indices[i];
-        const b = indices[i + 1];
-        const c = indices[i + 2];
-        
-        edges.add(Math.min(a, b) + ',' + Math.max(a, b));
-        edges.add(Math.min(b, c) + ',' + Math.max(b, c));
-        edges.add(Math.min(c, a) + ',' + Math.max(c, a));
+    document.getElementById('replayIndicator').style.display = activeReplay ? 'block' : 'none';
+    
+    updateEffectIndicator('shieldIndicator', 'shieldTime', simState.shieldTime);
+    updateEffectIndicator('multiplierIndicator', 'multiplierTime', simState.multiplierTime);
+    document.getElementById('multiplierValue').textContent = simState.rules.scoreMultiplier;
+    
+    // Hide difficulty display on title screen
+    const difficultyElement = document.querySelector('.difficulty');
+    if (gameState.showTitle) {
+        difficultyElement.style.display = 'none';
+    } else {
+        difficultyElement.style.display = 'block';
+    }
+}
+
+// Show a timed pickup effect with its remaining seconds, hidden once it runs out
+function updateEffectIndicator(elementId, timeElementId, remaining) {
+    const element = document.getElementById(elementId);
+    if (remaining > 0 && !gameState.showTitle) {
+        element.style.display = 'block';
+        document.getElementById(timeElementId).textContent = Math.ceil(remaining / 1000);
+    } else {
+        element.style.display = 'none';
     }
+}
+
+function showDamageFlash() {
+    const flashElement = document.getElementById('damageFlash');
     
-    const wireframeIndices = [];
-    edges.forEach(edge => {
-        const [a, b] = edge.split(',').map(Number);
-        wireframeIndices.push(a, b);
-    });
+    // Apply the flash effect immediately; reduced flashing only darkens the edges
+    flashElement.classList.toggle('reduced', settings.reducedFlash);
+    flashElement.classList.add('active');
     
-    // Create buffers
-    const positionBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+    // Remove the effect after a short delay to start the fade out
+    setTimeout(() => {
+        flashElement.classList.remove('active');
+    }, 200);
+}
+
+function showGameOver() {
+    // Replays re-run someone else's score and never touch the leaderboard
+    const qualifies = !activeReplay && qualifiesForLeaderboard(simState.score, simState.rules.preset);
     
-    const normalBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, normalBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(normals), gl.STATIC_DRAW);
+    document.getElementById('leaderboardRank').style.display = 'none';
+    document.getElementById('initialsEntry').style.display = 'none';
     
-    const texCoordBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(texCoords), gl.STATIC_DRAW);
+    finishRecording();
+    updateReplayResult();
     
-    const indexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(indices), gl.STATIC_DRAW);
+    // Play game over melody, then the game-over theme once it has finished
+    playMelody('gameOver');
+    playMusic('gameOver', 1.4);
     
-    const wireframeIndexBuffer = gl.createBuffer();
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, wireframeIndexBuffer);
-    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(wireframeIndices), gl.STATIC_DRAW);
+    document.getElementById('finalScore').textContent = simState.score;
+    document.getElementById('finalHighScore').textContent = Math.max(getHighScore(simState.rules.preset), simState.score);
+    document.getElementById('finalSeed').textContent = simState.seed;
+    document.getElementById('copySeedBtn').textContent = t('copySeed');
+    const gameOverScreen = document.getElementById('gameOver');
+    gameOverScreen.style.display = 'block';
     
-    return {
-        position: positionBuffer,
-        normal: normalBuffer,
-        texCoord: texCoordBuffer,
-        indices: indexBuffer,
-        indexCount: indices.length,
-        wireframeIndices: wireframeIndexBuffer,
-        wireframeIndexCount: wireframeIndices.length
-    };
+    // Add flag to indicate game over state and record timestamp
+    gameState.waitingForRestart = true;
+    gameState.gameOverTime = Date.now();
+    
+    if (qualifies) {
+        beginInitialsEntry(createRunRecord());
+    }
+    
+    // Start updating restart message
+    updateRestartMessage();
 }
 
-// Helper function to check if restart is allowed
-function canRestartGame() {
-    return gameState.waitingForRestart && (Date.now() - gameState.gameOverTime) >= 2000; // 2 seconds delay
+// Game-over line comparing a replayed score with the one recorded in the file
+function updateReplayResult() {
+    const resultElement = document.getElementById('replayResult');
+    
+    if (!activeReplay) {
+        resultElement.style.display = 'none';
+        return;
+    }
+    
+    const verified = simState.score === activeReplay.score;
+    resultElement.textContent = t(verified ? 'replayVerified' : 'replayMismatch', { score: activeReplay.score });
+    resultElement.classList.toggle('mismatch', !verified);
+    resultElement.style.display = 'block';
 }
 
-// Function to update restart message based on timer
-function updateRestartMessage() {
-    if (!gameState.waitingForRestart) return;
+function showTitleScreen() {
+    document.getElementById('titleHighScore').textContent = getHighScore(settings.rulesPreset);
+    document.getElementById('titleScreen').style.display = 'block';
+    document.getElementById('gameOver').style.display = 'none';
     
-    const restartPrompt = document.querySelector('.restart-prompt');
-    if (!restartPrompt) return;
+    // Hide difficulty display on title screen
+    const difficultyElement = document.querySelector('.difficulty');
+    difficultyElement.style.display = 'none';
     
-    if (canRestartGame()) {
-        restartPrompt.textContent = 'Tap Screen to Play Again';
-        restartPrompt.style.visibility = 'visible';
-        restartPrompt.classList.remove('waiting');
-    } else {
-        // Use same length text as placeholder to maintain width
-        restartPrompt.textContent = 'Tap Screen to Play Again';
-        restartPrompt.style.visibility = 'hidden';
-        restartPrompt.classList.add('waiting');
-        
-        // Continue updating until restart is allowed
-        setTimeout(updateRestartMessage, 100);
-    }
+    updateFullscreenButton();
 }
 
-// Input handling
-function setupInput() {
-    document.addEventListener('keydown', (e) => {
-        keys[e.code] = true;
-        if (e.code === 'Space') {
-            e.preventDefault();
-            if (gameState.waitingForRestart && canRestartGame()) {
-                restartGame();
-            } else if (gameState.showTitle) {
-                startGame();
-            }
-        }
-    });
+// Pass a parsed replay to play it back instead of taking live input
+function startGame(replay = null) {
+    // A run can't be shown until the context is back
+    if (contextLost) return;
     
-    document.addEventListener('keyup', (e) => {
-        keys[e.code] = false;
-    });
+    gameState.showTitle = false;
+    gameState.gameRunning = true;
     
-    // Mouse input
-    document.addEventListener('mousedown', (e) => {
-        e.preventDefault();
-        
-        // Check if click is on fullscreen button
-        if (e.target.id === 'fullscreenBtn') {
-            return; // Don't start game if fullscreen button was clicked
-        }
-        
-        keys['MouseClick'] = true;
-        if (gameState.waitingForRestart && canRestartGame()) {
-            restartGame();
-        } else if (gameState.showTitle) {
-            startGame();
-        }
-    });
+    activeReplay = replay;
+    replayEventIndex = 0;
+    replayInput = {};
     
-    document.addEventListener('mouseup', (e) => {
-        e.preventDefault();
-        keys['MouseClick'] = false;
+    const seed = replay ? replay.seed : chooseSeed();
+    simState = createSimulation(seed, {
+        controlMode: replay ? replay.controlMode : settings.controlMode,
+        rules: replay ? replay.rules : getSelectedRules()
     });
+    resetTunnel(seed);
     
-    // Touch input for mobile devices
-    document.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        
-        // Check if touch is on fullscreen button
-        if (e.target.id === 'fullscreenBtn') {
-            return; // Don't start game if fullscreen button was touched
-        }
-        
-        keys['Touch'] = true;
-        if (gameState.waitingForRestart && canRestartGame()) {
-            restartGame();
-        } else if (gameState.showTitle) {
-            startGame();
-        }
-    });
+    if (replay) {
+        lastReplay = replay;
+    } else {
+        beginRecording(seed);
+    }
+    document.getElementById('titleScreen').style.display = 'none';
     
-    document.addEventListener('touchend', (e) => {
-        e.preventDefault();
-        keys['Touch'] = false;
-    });
+    // Play start melody; the run's music comes in as it ends
+    playMelody('start');
+    playMusic('game', 0.75);
     
-    document.addEventListener('touchcancel', (e) => {
-        e.preventDefault();
-        keys['Touch'] = false;
-    });
+    // Show difficulty display when game starts
+    const difficultyElement = document.querySelector('.difficulty');
+    difficultyElement.style.display = 'block';
     
-    // モバイルブラウザでのコンテキストメニュー抑制
-    document.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        return false;
-    });
+    updatePauseButton();
+    updateUI();
+}
+
+function restartGame() {
+    gameState = {
+        gameRunning: false,
+        showTitle: true,
+        waitingForRestart: false,
+        gameOverTime: 0,
+        paused: false,
+        resumeAt: null,
+        enteringInitials: false
+    };
     
-    // 長押しコンテキストメニュー抑制
-    document.addEventListener('selectstart', (e) => {
-        e.preventDefault();
-        return false;
-    });
+    simState = createSimulation(0);
+    resetTunnel(simState.seed);
+    cameraPos = [0, 0, 0];
+    activeReplay = null;
+    savePreviousState();
     
-    // iOS Safariでの長押しメニュー抑制
-    document.addEventListener('touchstart', (e) => {
-        if (e.touches.length > 1) {
-            e.preventDefault();
-        }
-    }, { passive: false });
+    document.getElementById('gameOver').style.display = 'none';
+    document.getElementById('pauseOverlay').style.display = 'none';
+    showTitleScreen();
+    playMusic('title');
+}
+
+// Pause handling
+const RESUME_COUNTDOWN = 3000; // ms of warning before play continues
+
+function pauseGame() {
+    if (!gameState.gameRunning) return;
     
-    // Android Chromeでの長押しメニュー抑制
-    let touchTimeout;
-    document.addEventListener('touchstart', (e) => {
-        touchTimeout = setTimeout(() => {
-            // 長押し時の処理をキャンセル
-        }, 500);
-    });
+    gameState.paused = true;
+    gameState.resumeAt = null;
     
-    document.addEventListener('touchend', (e) => {
-        if (touchTimeout) {
-            clearTimeout(touchTimeout);
-        }
-    });
+    // Releases that happen while the window is in the background never arrive
+    keys = {};
+    touchDrag = null;
     
-    document.addEventListener('touchmove', (e) => {
-        if (touchTimeout) {
-            clearTimeout(touchTimeout);
-        }
-    });
+    document.getElementById('pauseOverlay').style.display = 'block';
+    document.getElementById('pauseCountdown').style.display = 'none';
+    document.getElementById('resumePrompt').style.display = 'block';
+    updatePauseButton();
+    updateMixer();
 }
 
-// Calculate difficulty multiplier based on score
-function getDifficultyMultiplier() {
-    const progressFactor = gameState.score / 1000;
-    return 1 + progressFactor;
+// Resuming runs a countdown first so the player isn't dropped straight into a wall
+function resumeGame() {
+    if (!gameState.paused || gameState.resumeAt !== null || contextLost) return;
+    
+    gameState.resumeAt = performance.now() + RESUME_COUNTDOWN;
+    
+    document.getElementById('resumePrompt').style.display = 'none';
+    document.getElementById('pauseCountdown').style.display = 'block';
+    updateResumeCountdown(performance.now());
+    updateMixer();
 }
 
-// Game logic
-function updateGame(deltaTime) {
-    if (gameState.showTitle || gameState.waitingForRestart) {
-        // Show title screen or waiting for restart, wait for input to start
-        if (gameState.showTitle) {
-            showTitleScreen();
-        }
+function togglePause() {
+    if (gameState.paused && gameState.resumeAt === null) {
+        resumeGame();
+    } else {
+        pauseGame();
+    }
+}
+
+// Called every frame while paused; unpauses once the countdown runs out
+function updateResumeCountdown(currentTime) {
+    if (gameState.resumeAt === null) return;
+    
+    const remaining = gameState.resumeAt - currentTime;
+    if (remaining <= 0) {
+        gameState.paused = false;
+        gameState.resumeAt = null;
+        document.getElementById('pauseOverlay').style.display = 'none';
+        updatePauseButton();
         return;
     }
     
-    if (!gameState.gameRunning) return;
+    document.getElementById('pauseCountdown').textContent = Math.ceil(remaining / 1000);
+}
+
+// On-screen pause button for touch devices, only while a run is in progress
+function updatePauseButton() {
+    const btn = document.getElementById('pauseBtn');
+    const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    
+    btn.style.display = isTouchDevice && gameState.gameRunning && !gameState.paused ? 'block' : 'none';
+}
+
+function handleVisibilityChange() {
+    if (document.hidden) {
+        pauseGame();
+    }
+}
+
+// Screen-space ambient occlusion setup
+function createScreenQuad() {
+    const buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        -1, -1,  1, -1,  -1, 1,
+        -1, 1,  1, -1,  1, 1
+    ]), gl.STATIC_DRAW);
+    return buffer;
+}
+
+// Hemisphere sample kernel oriented along +Z, denser near the origin
+function createSSAOKernel(sampleCount) {
+    const kernel = new Float32Array(SSAO_MAX_SAMPLES * 3);
+    
+    for (let i = 0; i < sampleCount; i++) {
+        let x = Math.random() * 2 - 1;
+        let y = Math.random() * 2 - 1;
+        let z = Math.random();
+        const length = Math.sqrt(x * x + y * y + z * z) || 1;
+        
+        let sampleScale = i / sampleCount;
+        sampleScale = 0.1 + 0.9 * sampleScale * sampleScale;
+        const magnitude = Math.random() * sampleScale / length;
+        
+        kernel[i * 3] = x * magnitude;
+        kernel[i * 3 + 1] = y * magnitude;
+        kernel[i * 3 + 2] = z * magnitude;
+    }
+    
+    return kernel;
+}
+
+function initSSAO() {
+    normalDepthProgram = createProgram(normalDepthVertexShaderSource, normalDepthFragmentShaderSource);
+    instancedNormalDepthProgram = createInstancedProgram(normalDepthVertexShaderSource, normalDepthFragmentShaderSource);
+    ssaoProgram = createProgram(screenVertexShaderSource, ssaoFragmentShaderSource);
+    ssaoBlurProgram = createProgram(screenVertexShaderSource, ssaoBlurFragmentShaderSource);
+    compositeProgram = createProgram(screenVertexShaderSource, compositeFragmentShaderSource);
+    
+    if (!normalDepthProgram || !ssaoProgram || !ssaoBlurProgram || !compositeProgram) {
+        console.warn('SSAO shaders unavailable, ambient occlusion disabled');
+        ssaoSupported = false;
+        return;
+    }
     
-    gameState.time += deltaTime;
+    sceneTarget = createRenderTarget(canvas.width, canvas.height, true);
+    // Packed normal/depth values must not be filtered
+    normalDepthTarget = createRenderTarget(canvas.width, canvas.height, true, gl.NEAREST);
+    ssaoTarget = createRenderTarget(canvas.width, canvas.height, false);
+    ssaoBlurTarget = createRenderTarget(canvas.width, canvas.height, false);
     
-    // Player movement
-    if (keys['Space'] || keys['Touch'] || keys['MouseClick']) {
-        gameState.playerVelocity += 0.002 * (deltaTime / 16.67); // Normalize to 60fps
-    } else {
-        gameState.playerVelocity -= 0.002 * (deltaTime / 16.67); // Normalize to 60fps
+    if (!sceneTarget.complete || !normalDepthTarget.complete ||
+        !ssaoTarget.complete || !ssaoBlurTarget.complete) {
+        console.warn('SSAO render targets incomplete, ambient occlusion disabled');
+        ssaoSupported = false;
+        return;
     }
     
-	gameState.playerVelocity = Math.max(-0.06, Math.min(0.06, gameState.playerVelocity));
-    gameState.playerY += gameState.playerVelocity * (deltaTime / 16.67); // Normalize to 60fps
+    if (settings.ssaoQuality !== 'off') {
+        ssaoKernel = createSSAOKernel(SSAO_PRESETS[settings.ssaoQuality].samples);
+    }
+}
+
+// Keep render targets in step with the canvas and the selected quality
+function updateSSAOTargets() {
+    const preset = SSAO_PRESETS[settings.ssaoQuality];
+    const aoWidth = Math.max(1, Math.floor(canvas.width * preset.resolutionScale));
+    const aoHeight = Math.max(1, Math.floor(canvas.height * preset.resolutionScale));
+    
+    resizeRenderTarget(sceneTarget, canvas.width, canvas.height);
+    resizeRenderTarget(normalDepthTarget, aoWidth, aoHeight);
+    resizeRenderTarget(ssaoTarget, aoWidth, aoHeight);
+    resizeRenderTarget(ssaoBlurTarget, aoWidth, aoHeight);
+}
+
+function setSSAOQuality(quality) {
+    setSetting('ssaoQuality', quality);
+    
+    if (quality !== 'off') {
+        ssaoKernel = createSSAOKernel(SSAO_PRESETS[quality].samples);
+    }
     
-    // Wall collision
-    if (gameState.playerY > 1.8 || gameState.playerY < -1.8) {
-        gameState.life = Math.max(0, gameState.life - 10);
-        showDamageFlash();
-        playCollisionSound('wall');
+    updateSSAOButton();
+}
 
-        // Bounce effect - reverse velocity with some damping
-        if (gameState.playerY > 0) {
-            gameState.playerVelocity = -0.06;
-        } else {
-            gameState.playerVelocity = 0.06;
-        }
+function cycleSSAOQuality() {
+    const index = SSAO_QUALITY_LEVELS.indexOf(settings.ssaoQuality);
+    setSSAOQuality(SSAO_QUALITY_LEVELS[(index + 1) % SSAO_QUALITY_LEVELS.length]);
+}
+
+function updateSSAOButton() {
+    const btn = document.getElementById('ssaoBtn');
+    
+    if (!ssaoSupported) {
+        btn.style.display = 'none';
+        return;
+    }
+    
+    btn.style.display = '';
+    btn.textContent = t('aoButton', { quality: t(SSAO_QUALITY_LABELS[settings.ssaoQuality]) });
+}
 
-        // Keep player within bounds
-        gameState.playerY = Math.max(-1.8, Math.min(1.8, gameState.playerY));
+// Rendering
+// alpha: how far real time has advanced past the last simulation step (0..1)
+function render(alpha = 1) {
+    renderAlpha = alpha;
+    for (let i = 0; i < 3; i++) {
+        renderCameraPos[i] = lerp(previousCameraPos[i], cameraPos[i], alpha);
     }
+    renderPlayerX = lerp(previousPlayerX, simState.playerX, alpha);
+    renderPlayerY = lerp(previousPlayerY, simState.playerY, alpha);
     
-    // Update camera position
-    cameraPos[1] = gameState.playerY;
-    cameraPos[2] += gameState.speed * (deltaTime / 16.67); // Normalize to 60fps
-    
-    // Update score
-    gameState.score = Math.floor(cameraPos[2] * 10);
-    
-    // Increase speed over time
-    gameState.speed = 0.02 + gameState.time * 0.00001;
+    // Set up matrices
+    const aspect = canvas.width / canvas.height;
+    perspective(projectionMatrix, Math.PI / 2, aspect, NEAR_PLANE, FAR_PLANE);
+    
+    // The camera rides the path and aims further along it, so the view turns into bends
+    getPathFrame(tunnelPath, renderCameraPos[2], cameraFrame);
+    getPathFrame(tunnelPath, renderCameraPos[2] + CAMERA_LOOK_AHEAD, cameraTargetFrame);
+    transformTunnelPoint(cameraFrame, renderCameraPos[0], renderCameraPos[1], cameraWorldPos);
+    transformTunnelPoint(cameraTargetFrame, renderCameraPos[0], renderCameraPos[1], cameraTarget);
+    cameraUp[0] = cameraFrame[4];
+    cameraUp[1] = cameraFrame[5];
+    cameraUp[2] = cameraFrame[6];
+    lookAt(viewMatrix, cameraWorldPos, cameraTarget, cameraUp);
+    
+    updateTunnelChunks(renderCameraPos[2]);
+    // Every pass draws the same obstacles, so their transforms are built once per frame
+    updateObstacleInstances();
+    
+    if (isShadowing()) {
+        updateLightMatrices();
+        renderShadowMap();
+    }
     
-    // Spawn obstacles with increasing frequency based on progress
-    const baseSpawnRate = 0.01;
-    const difficultyMultiplier = getDifficultyMultiplier();
-    const currentSpawnRate = baseSpawnRate * difficultyMultiplier;
-    
-    if (Math.random() < currentSpawnRate) {
-        obstacles.push({
-            x: (Math.random() - 0.5) * 3,
-            y: (Math.random() - 0.5) * 3,
-            z: cameraPos[2] + 40,
-            rotationX: Math.random() * Math.PI * 2,
-            rotationY: Math.random() * Math.PI * 2,
-            rotationZ: Math.random() * Math.PI * 2,
-            rotationSpeedX: (Math.random() - 0.5) * 0.004 * 16,
-            rotationSpeedY: (Math.random() - 0.5) * 0.004 * 16,
-            rotationSpeedZ: (Math.random() - 0.5) * 0.004 * 16
-        });
+    // With post-processing the frame goes to postTarget first and reaches the screen last
+    const postProcessing = isPostProcessing();
+    if (postProcessing) {
+        updatePostTargets();
     }
+    const frameTarget = postProcessing ? postTarget : null;
     
-    // Update obstacles
-    obstacles.forEach((obstacle, index) => {
-        obstacle.rotationX += obstacle.rotationSpeedX * (deltaTime / 16.67); // Normalize to 60fps
-        obstacle.rotationY += obstacle.rotationSpeedY * (deltaTime / 16.67); // Normalize to 60fps
-        obstacle.rotationZ += obstacle.rotationSpeedZ * (deltaTime / 16.67); // Normalize to 60fps
-        
-        // Check collision with player
-        // Player actual position: [0, gameState.playerY, cameraPos[2] + 0.5]
-        const dx = obstacle.x - 0;
-        const dy = obstacle.y - gameState.playerY;
-        const dz = obstacle.z - (cameraPos[2] + 0.5); // Match player render position
-        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!ssaoSupported || settings.ssaoQuality === 'off') {
+        bindRenderTarget(frameTarget);
+        renderScene();
+    } else {
+        updateSSAOTargets();
         
-        if (distance < 0.5) {
-            gameState.life = Math.max(0, gameState.life - 20);
-            showDamageFlash();
-            playCollisionSound('obstacle');
-            obstacles.splice(index, 1);
-        }
+        // Lit scene into an offscreen target, composited with the occlusion term below
+        bindRenderTarget(sceneTarget);
+        renderScene();
         
-        // Remove obstacles behind camera
-        if (obstacle.z < cameraPos[2] - 5) {
-            obstacles.splice(index, 1);
-        }
-    });
-    
-    // Check game over
-    if (gameState.life <= 0) {
-        gameState.gameRunning = false;
-        showGameOver();
+        renderNormalDepth();
+        renderSSAO(frameTarget);
     }
     
-    // Update UI
-    updateUI();
+    if (postProcessing) {
+        renderPostProcessing();
+    }
 }
 
-function updateUI() {
-    document.getElementById('lifeFill').style.width = gameState.life + '%';
-    document.getElementById('score').textContent = gameState.score;
-    
-    const highScore = parseInt(localStorage.getItem('highScore') || '0');
-    document.getElementById('highScore').textContent = highScore;
-    
-    // Display difficulty using shared calculation
-    const difficultyMultiplier = getDifficultyMultiplier();
-    document.getElementById('difficulty').textContent = difficultyMultiplier.toFixed(1) + 'x';
-    
-    // Hide difficulty display on title screen
-    const difficultyElement = document.querySelector('.difficulty');
-    if (gameState.showTitle) {
-        difficultyElement.style.display = 'none';
-    } else {
-        difficultyElement.style.display = 'block';
-    }
+// Per-frame uniforms shared by the lit program and its instanced variant
+function setSceneUniforms(program) {
+    gl.useProgram(program);
+    gl.uniformMatrix4fv(program.uniforms.u_projectionMatrix, false, projectionMatrix);
+    gl.uniformMatrix4fv(program.uniforms.u_viewMatrix, false, viewMatrix);
+    gl.uniform3fv(program.uniforms.u_lightDirection, LIGHT_DIRECTION);
+    gl.uniform3f(program.uniforms.u_cameraPos, cameraWorldPos[0], cameraWorldPos[1], cameraWorldPos[2]);
+    
+    const palette = getWarningPalette();
+    gl.uniform3fv(program.uniforms.u_safeColor, palette.safe);
+    gl.uniform3fv(program.uniforms.u_warningColor, palette.warning);
+    gl.uniform3fv(program.uniforms.u_warningTint, palette.tint);
+    gl.uniform1f(program.uniforms.u_warningCues, settings.colorblind ? 1.0 : 0.0);
+    gl.uniform1f(program.uniforms.u_warningPhase, simState.time * WARNING_PULSE_RATE % 1);
+    
+    // Wrapped here rather than in the shader, where a large float would lose precision
+    const wallPhase = (simState.time * WALL_PHASE_PER_MS + simState.distance * WALL_PHASE_PER_UNIT) % 1;
+    gl.uniform1f(program.uniforms.u_wallPattern, WALL_PATTERNS.indexOf(settings.wallPattern) - 1);
+    gl.uniform1f(program.uniforms.u_wallPhase, wallPhase);
+    gl.uniform1f(program.uniforms.u_pickupPhase, simState.time * PICKUP_PULSE_RATE % 1);
+    
+    gl.uniformMatrix4fv(program.uniforms.u_lightViewMatrix, false, lightViewMatrix);
+    gl.uniformMatrix4fv(program.uniforms.u_lightProjectionMatrix, false, lightProjectionMatrix);
+    gl.uniform1i(program.uniforms.u_shadowMap, SHADOW_TEXTURE_UNIT);
+    gl.uniform2f(program.uniforms.u_shadowTexel, 1 / SHADOW_MAP_SIZE, 1 / SHADOW_MAP_SIZE);
+    gl.uniform1f(program.uniforms.u_shadows, isShadowing() ? 1.0 : 0.0);
 }
 
-function showDamageFlash() {
-    const flashElement = document.getElementById('damageFlash');
+function renderScene() {
+    gl.clearColor(0.0, 0.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     
-    // Apply the flash effect immediately
-    flashElement.classList.add('active');
+    if (isShadowing()) {
+        gl.activeTexture(gl.TEXTURE0 + SHADOW_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, shadowTarget.texture);
+        gl.activeTexture(gl.TEXTURE0);
+    }
     
-    // Remove the effect after a short delay to start the fade out
-    setTimeout(() => {
-        flashElement.classList.remove('active');
-    }, 200);
-}
-
-function showGameOver() {
-    const highScore = parseInt(localStorage.getItem('highScore') || '0');
-    if (gameState.score > highScore) {
-        localStorage.setItem('highScore', gameState.score.toString());
+    if (instancedShaderProgram) {
+        setSceneUniforms(instancedShaderProgram);
     }
+    setSceneUniforms(shaderProgram);
     
-    // Play game over melody
-    playMelody('gameOver');
+    // Render tunnel
+    renderTunnel();
     
-    document.getElementById('finalScore').textContent = gameState.score;
-    document.getElementById('finalHighScore').textContent = Math.max(highScore, gameState.score);
-    const gameOverScreen = document.getElementById('gameOver');
-    gameOverScreen.style.display = 'block';
+    // Render player fighter
+    renderPlayer();
     
-    // Add flag to indicate game over state and record timestamp
-    gameState.waitingForRestart = true;
-    gameState.gameOverTime = Date.now();
+    renderPickups();
     
-    // Start updating restart message
-    updateRestartMessage();
+    // Render obstacles; may switch to the instanced program, so they go last
+    renderObstacles(shaderProgram, instancedShaderProgram);
 }
 
-function showTitleScreen() {
-    const highScore = parseInt(localStorage.getItem('highScore') || '0');
-    document.getElementById('titleHighScore').textContent = highScore;
-    document.getElementById('titleScreen').style.display = 'block';
-    document.getElementById('gameOver').style.display = 'none';
+// Shadow mapping
+function initShadows() {
+    shadowProgram = createProgram(shadowVertexShaderSource, shadowFragmentShaderSource);
+    instancedShadowProgram = createInstancedProgram(shadowVertexShaderSource, shadowFragmentShaderSource);
+    
+    if (!shadowProgram) {
+        console.warn('Shadow shaders unavailable, shadows disabled');
+        shadowSupported = false;
+        return;
+    }
     
-    // Hide difficulty display on title screen
-    const difficultyElement = document.querySelector('.difficulty');
-    difficultyElement.style.display = 'none';
+    // Packed depth values must not be filtered
+    shadowTarget = createRenderTarget(SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, true, gl.NEAREST);
     
-    updateFullscreenButton();
+    if (!shadowTarget.complete) {
+        console.warn('Shadow map render target incomplete, shadows disabled');
+        shadowSupported = false;
+    }
 }
 
-function startGame() {
-    gameState.showTitle = false;
-    gameState.gameRunning = true;
-    document.getElementById('titleScreen').style.display = 'none';
+function isShadowing() {
+    return shadowSupported && settings.shadows;
+}
+
+// Fit the light's orthographic frustum around the tunnel from just behind the camera
+// to SHADOW_SPAN ahead, following the path through bends
+function updateLightMatrices() {
+    for (let i = 0; i < 3; i++) {
+        lightEye[i] = cameraWorldPos[i] - LIGHT_DIRECTION[i];
+    }
+    lookAt(lightViewMatrix, lightEye, cameraWorldPos, WORLD_UP);
     
-    // Play start melody
-    playMelody('start');
+    const m = lightViewMatrix;
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
     
-    // Show difficulty display when game starts
-    const difficultyElement = document.querySelector('.difficulty');
-    difficultyElement.style.display = 'block';
+    for (let i = 0; i <= SHADOW_FIT_SAMPLES; i++) {
+        const z = renderCameraPos[2] - 1 + (SHADOW_SPAN + 1) * i / SHADOW_FIT_SAMPLES;
+        getPathFrame(tunnelPath, z, shadowFitFrame);
+        
+        for (let corner = 0; corner < 4; corner++) {
+            const x = corner & 1 ? SHADOW_FIT_RADIUS : -SHADOW_FIT_RADIUS;
+            const y = corner & 2 ? SHADOW_FIT_RADIUS : -SHADOW_FIT_RADIUS;
+            const p = transformTunnelPoint(shadowFitFrame, x, y, shadowFitPoint);
+            
+            const lightX = m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12];
+            const lightY = m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13];
+            const lightZ = m[2] * p[0] + m[6] * p[1] + m[10] * p[2] + m[14];
+            minX = Math.min(minX, lightX); maxX = Math.max(maxX, lightX);
+            minY = Math.min(minY, lightY); maxY = Math.max(maxY, lightY);
+            minZ = Math.min(minZ, lightZ); maxZ = Math.max(maxZ, lightZ);
+        }
+    }
     
-    updateUI();
+    // A square of whole units, snapped to texels, so shadow edges don't crawl as the
+    // frustum slides along the tunnel
+    const extent = Math.ceil(Math.max(maxX - minX, maxY - minY));
+    const texel = extent / SHADOW_MAP_SIZE;
+    minX = Math.floor(minX / texel) * texel;
+    minY = Math.floor(minY / texel) * texel;
+    
+    // The light looks down its -z axis
+    orthographic(lightProjectionMatrix, minX, minX + extent, minY, minY + extent, -maxZ, -minZ);
 }
 
-function restartGame() {
-    gameState = {
-        life: 100,
-        score: 0,
-        speed: 0.02,
-        playerY: 0,
-        playerVelocity: 0,
-        gameRunning: false,
-        showTitle: true,
-        time: 0,
-        waitingForRestart: false,
-        gameOverTime: 0
-    };
-    
-    cameraPos = [0, 0, 0];
-    obstacles = [];
-    
-    document.getElementById('gameOver').style.display = 'none';
-    showTitleScreen();
+function setShadowUniforms(program) {
+    gl.useProgram(program);
+    gl.uniformMatrix4fv(program.uniforms.u_lightViewMatrix, false, lightViewMatrix);
+    gl.uniformMatrix4fv(program.uniforms.u_lightProjectionMatrix, false, lightProjectionMatrix);
 }
 
-// Rendering
-function render() {
-    gl.clearColor(0.0, 0.0, 0.0, 1.0);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-    
-    gl.useProgram(shaderProgram);
-    
-    // Set up matrices
-    const aspect = canvas.width / canvas.height;
-    projectionMatrix = createMatrix4();
-    perspective(projectionMatrix, Math.PI / 2, aspect, 0.1, 100.0);
-    
-    viewMatrix = createMatrix4();
-    lookAt(viewMatrix, cameraPos, [cameraPos[0], cameraPos[1], cameraPos[2] + 1], [0, 1, 0]);
+// Obstacles and the fighter as seen from the light. The tunnel only receives shadows:
+// closed all round, it would otherwise shadow itself completely
+function renderShadowMap() {
+    bindRenderTarget(shadowTarget);
     
-    // Set uniforms
-    const projectionLoc = gl.getUniformLocation(shaderProgram, 'u_projectionMatrix');
-    const viewLoc = gl.getUniformLocation(shaderProgram, 'u_viewMatrix');
-    const lightDirLoc = gl.getUniformLocation(shaderProgram, 'u_lightDirection');
-    const cameraPosLoc = gl.getUniformLocation(shaderProgram, 'u_cameraPos');
-    const timeLoc = gl.getUniformLocation(shaderProgram, 'u_time');
+    // Empty texels decode as beyond the far plane
+    gl.clearColor(1.0, 1.0, 0.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     
-    gl.uniformMatrix4fv(projectionLoc, false, projectionMatrix);
-    gl.uniformMatrix4fv(viewLoc, false, viewMatrix);
-    gl.uniform3f(lightDirLoc, 0.5, -0.866, -1.0);
-    gl.uniform3f(cameraPosLoc, cameraPos[0], cameraPos[1], cameraPos[2]);
-    gl.uniform1f(timeLoc, gameState.time);
+    // Both faces, so the thin fighter mesh casts whichever side the light reaches
+    gl.disable(gl.CULL_FACE);
     
-    // Render tunnel
-    renderTunnel();
+    if (instancedShadowProgram) {
+        setShadowUniforms(instancedShadowProgram);
+    }
+    setShadowUniforms(shadowProgram);
     
-    // Render player fighter
-    renderPlayer();
+    renderPlayer(shadowProgram, true);
+    renderObstacles(shadowProgram, instancedShadowProgram);
     
-    // Render obstacles
-    renderObstacles();
+    gl.enable(gl.CULL_FACE);
 }
 
-function renderTunnel() {
-    const modelLoc = gl.getUniformLocation(shaderProgram, 'u_modelMatrix');
-    const normalLoc = gl.getUniformLocation(shaderProgram, 'u_normalMatrix');
-    const materialLoc = gl.getUniformLocation(shaderProgram, 'u_materialType');
-    
-    gl.uniform1i(materialLoc, 0); // Wall material
+// Per-frame uniforms for the normal/depth program and its instanced variant
+function setNormalDepthUniforms(program) {
+    gl.useProgram(program);
+    gl.uniformMatrix4fv(program.uniforms.u_projectionMatrix, false, projectionMatrix);
+    gl.uniformMatrix4fv(program.uniforms.u_viewMatrix, false, viewMatrix);
+    gl.uniform1f(program.uniforms.u_far, FAR_PLANE);
+}
+
+// Same geometry as renderScene(), written as view-space normal + linear depth
+function renderNormalDepth() {
+    bindRenderTarget(normalDepthTarget);
     
-    // Bind tunnel geometry
-    const positionLoc = gl.getAttribLocation(shaderProgram, 'a_position');
-    const normalLoc2 = gl.getAttribLocation(shaderProgram, 'a_normal');
-    const texCoordLoc = gl.getAttribLocation(shaderProgram, 'a_texCoord');
+    // Empty pixels decode as facing the camera at the far plane
+    gl.clearColor(0.5, 0.5, 1.0, 0.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
     
-    gl.bindBuffer(gl.ARRAY_BUFFER, tunnelBuffer.position);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 3, gl.FLOAT, false, 0, 0);
+    if (instancedNormalDepthProgram) {
+        setNormalDepthUniforms(instancedNormalDepthProgram);
+    }
+    setNormalDepthUniforms(normalDepthProgram);
     
-    gl.bindBuffer(gl.ARRAY_BUFFER, tunnelBuffer.normal);
-    gl.enableVertexAttribArray(normalLoc2);
-    gl.vertexAttribPointer(normalLoc2, 3, gl.FLOAT, false, 0, 0);
+    renderTunnel(normalDepthProgram);
+    renderPlayer(normalDepthProgram);
+    renderPickups(normalDepthProgram);
+    renderObstacles(normalDepthProgram, instancedNormalDepthProgram);
+}
+
+function drawScreenQuad(program) {
+    bindAttribute(program.attributes.a_position, screenQuadBuffer, 2);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
+
+// Occlusion, blur and composite passes; the composite goes to output (the screen when null)
+function renderSSAO(output = null) {
+    gl.disable(gl.DEPTH_TEST);
+    
+    // Occlusion term
+    bindRenderTarget(ssaoTarget);
+    gl.useProgram(ssaoProgram);
+    
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, normalDepthTarget.texture);
+    gl.uniform1i(ssaoProgram.uniforms.u_normalDepth, 0);
+    gl.uniformMatrix4fv(ssaoProgram.uniforms.u_projectionMatrix, false, projectionMatrix);
+    gl.uniform3fv(ssaoProgram.uniforms.u_kernel, ssaoKernel);
+    gl.uniform1i(ssaoProgram.uniforms.u_sampleCount, SSAO_PRESETS[settings.ssaoQuality].samples);
+    gl.uniform1f(ssaoProgram.uniforms.u_radius, SSAO_RADIUS);
+    gl.uniform1f(ssaoProgram.uniforms.u_bias, SSAO_BIAS);
+    gl.uniform1f(ssaoProgram.uniforms.u_far, FAR_PLANE);
+    drawScreenQuad(ssaoProgram);
+    
+    // Blur
+    bindRenderTarget(ssaoBlurTarget);
+    gl.useProgram(ssaoBlurProgram);
+    
+    gl.bindTexture(gl.TEXTURE_2D, ssaoTarget.texture);
+    gl.uniform1i(ssaoBlurProgram.uniforms.u_ao, 0);
+    gl.uniform2f(ssaoBlurProgram.uniforms.u_texelSize, 1 / ssaoTarget.width, 1 / ssaoTarget.height);
+    drawScreenQuad(ssaoBlurProgram);
+    
+    // Composite
+    bindRenderTarget(output);
+    gl.useProgram(compositeProgram);
+    
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, sceneTarget.texture);
+    gl.uniform1i(compositeProgram.uniforms.u_scene, 0);
+    
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, ssaoBlurTarget.texture);
+    gl.uniform1i(compositeProgram.uniforms.u_ao, 1);
+    gl.uniform1f(compositeProgram.uniforms.u_aoStrength, SSAO_STRENGTH);
+    drawScreenQuad(compositeProgram);
+    
+    gl.activeTexture(gl.TEXTURE0);
+    gl.enable(gl.DEPTH_TEST);
+}
+
+// Post-processing
+function initPostProcessing() {
+    brightPassProgram = createProgram(screenVertexShaderSource, brightPassFragmentShaderSource);
+    bloomBlurProgram = createProgram(screenVertexShaderSource, bloomBlurFragmentShaderSource);
+    postProgram = createProgram(screenVertexShaderSource, postFragmentShaderSource);
+    
+    if (!brightPassProgram || !bloomBlurProgram || !postProgram) {
+        console.warn('Post-processing shaders unavailable, bloom and CRT effects disabled');
+        postSupported = false;
+        return;
+    }
     
-    gl.bindBuffer(gl.ARRAY_BUFFER, tunnelBuffer.texCoord);
-    gl.enableVertexAttribArray(texCoordLoc);
-    gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+    // Depth is only needed when the scene is drawn straight into postTarget (SSAO off)
+    postTarget = createRenderTarget(canvas.width, canvas.height, true);
+    bloomTarget = createRenderTarget(canvas.width, canvas.height, false);
+    bloomBlurTarget = createRenderTarget(canvas.width, canvas.height, false);
     
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, tunnelBuffer.indices);
+    if (!postTarget.complete || !bloomTarget.complete || !bloomBlurTarget.complete) {
+        console.warn('Post-processing render targets incomplete, bloom and CRT effects disabled');
+        postSupported = false;
+    }
+}
+
+function isPostProcessing() {
+    return postSupported &&
+        (settings.bloom || settings.crtScanlines || settings.crtCurvature || settings.chromaticAberration);
+}
+
+function updatePostTargets() {
+    const bloomWidth = Math.max(1, Math.floor(canvas.width * BLOOM_RESOLUTION_SCALE));
+    const bloomHeight = Math.max(1, Math.floor(canvas.height * BLOOM_RESOLUTION_SCALE));
     
-    // Render multiple tunnel segments to create continuous tunnel
-    const tunnelLength = 50; // Length of each tunnel segment
-    const currentZ = cameraPos[2];
-    const startSegment = Math.floor((currentZ - 25) / tunnelLength);
-    const endSegment = startSegment + 3; // Render 3 segments ahead
+    resizeRenderTarget(postTarget, canvas.width, canvas.height);
+    resizeRenderTarget(bloomTarget, bloomWidth, bloomHeight);
+    resizeRenderTarget(bloomBlurTarget, bloomWidth, bloomHeight);
+}
+
+// Bloom and CRT passes from postTarget onto the screen
+function renderPostProcessing() {
+    gl.disable(gl.DEPTH_TEST);
+    gl.activeTexture(gl.TEXTURE0);
+    
+    if (settings.bloom) {
+        // Bright pass
+        bindRenderTarget(bloomTarget);
+        gl.useProgram(brightPassProgram);
+        gl.bindTexture(gl.TEXTURE_2D, postTarget.texture);
+        gl.uniform1i(brightPassProgram.uniforms.u_scene, 0);
+        gl.uniform1f(brightPassProgram.uniforms.u_threshold, BLOOM_THRESHOLD);
+        drawScreenQuad(brightPassProgram);
+        
+        // Blur across into the spare target, then down back into bloomTarget
+        gl.useProgram(bloomBlurProgram);
+        gl.uniform1i(bloomBlurProgram.uniforms.u_image, 0);
+        
+        bindRenderTarget(bloomBlurTarget);
+        gl.bindTexture(gl.TEXTURE_2D, bloomTarget.texture);
+        gl.uniform2f(bloomBlurProgram.uniforms.u_direction, BLOOM_SPREAD / bloomTarget.width, 0);
+        drawScreenQuad(bloomBlurProgram);
+        
+        bindRenderTarget(bloomTarget);
+        gl.bindTexture(gl.TEXTURE_2D, bloomBlurTarget.texture);
+        gl.uniform2f(bloomBlurProgram.uniforms.u_direction, 0, BLOOM_SPREAD / bloomTarget.height);
+        drawScreenQuad(bloomBlurProgram);
+    }
     
-    for (let segment = startSegment; segment <= endSegment; segment++) {
-        const modelMatrix = createMatrix4();
-        identity(modelMatrix);
-        translate(modelMatrix, modelMatrix, [0, 0, segment * tunnelLength - 25]);
+    bindRenderTarget(null);
+    gl.useProgram(postProgram);
+    const uniforms = postProgram.uniforms;
+    
+    gl.bindTexture(gl.TEXTURE_2D, postTarget.texture);
+    gl.uniform1i(uniforms.u_scene, 0);
+    
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, bloomTarget.texture);
+    gl.uniform1i(uniforms.u_bloom, 1);
+    gl.uniform1f(uniforms.u_bloomStrength, settings.bloom ? BLOOM_STRENGTH : 0);
+    gl.uniform1f(uniforms.u_curvature, settings.crtCurvature ? CRT_CURVATURE : 0);
+    gl.uniform1f(uniforms.u_aberration, settings.chromaticAberration ? CRT_ABERRATION : 0);
+    gl.uniform1f(uniforms.u_scanlines, settings.crtScanlines ? CRT_SCANLINES : 0);
+    // Never finer than every other row, or the lines alias away at low resolutions
+    gl.uniform1f(uniforms.u_scanlineCount, Math.min(CRT_SCANLINE_COUNT, canvas.height / 2));
+    drawScreenQuad(postProgram);
+    
+    gl.activeTexture(gl.TEXTURE0);
+    gl.enable(gl.DEPTH_TEST);
+}
+
+function renderTunnel(program = shaderProgram) {
+    const uniforms = program.uniforms;
+    const attributes = program.attributes;
+    
+    gl.uniform1i(uniforms.u_materialType, 0); // Wall material
+    
+    // Chunks are built in world space
+    gl.uniformMatrix4fv(uniforms.u_modelMatrix, false, identityMatrix);
+    gl.uniformMatrix4fv(uniforms.u_normalMatrix, false, identityMatrix);
+    
+    // Nearest chunk first, so walls hidden behind a bend fail the depth test early
+    for (let index = firstVisibleChunk; index <= lastVisibleChunk; index++) {
+        const chunk = tunnelChunks.get(index);
+        bindAttribute(attributes.a_position, chunk.position, 3);
+        bindAttribute(attributes.a_normal, chunk.normal, 3);
+        bindAttribute(attributes.a_texCoord, chunk.texCoord, 2);
         
-        gl.uniformMatrix4fv(modelLoc, false, modelMatrix);
-        gl.uniformMatrix4fv(normalLoc, false, modelMatrix);
+        // Where the chunk starts in the pattern cycle, wrapped here at full precision
+        const cycle = index * TUNNEL_CHUNK_LENGTH / WALL_PATTERN_SPAN % WALL_PATTERN_COUNT;
+        gl.uniform2f(uniforms.u_wallChunk, cycle, index & 3);
         
-        gl.drawElements(gl.TRIANGLES, tunnelBuffer.indexCount, gl.UNSIGNED_SHORT, 0);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, chunk.indices);
+        gl.drawElements(gl.TRIANGLES, chunk.indexCount, gl.UNSIGNED_SHORT, 0);
     }
 }
 
-function renderObstacles() {
-    if (obstacleBuffers.length === 0) return;
-    
-    const modelLoc = gl.getUniformLocation(shaderProgram, 'u_modelMatrix');
-    const normalLoc = gl.getUniformLocation(shaderProgram, 'u_normalMatrix');
-    const materialLoc = gl.getUniformLocation(shaderProgram, 'u_materialType');
-    const proximityFactorLoc = gl.getUniformLocation(shaderProgram, 'u_proximityFactor');
+// Obstacle draw list
+// Rebuilt every frame, sorted by mesh so each one is bound once and then front to back
+// so nearer obstacles fill the depth buffer first. Transforms and proximity factors are
+// packed into instanceData, which is also the per-instance vertex buffer when instancing.
+const INSTANCE_STRIDE = 17; // Floats per obstacle: model matrix columns, then proximity factor
+const INSTANCE_ATTRIBUTES = [
+    { name: 'a_model0', size: 4, offset: 0 },
+    { name: 'a_model1', size: 4, offset: 4 },
+    { name: 'a_model2', size: 4, offset: 8 },
+    { name: 'a_model3', size: 4, offset: 12 },
+    { name: 'a_proximityFactor', size: 1, offset: 16 }
+];
+const OBSTACLE_SCALE_VECTOR = [OBSTACLE_SCALE, OBSTACLE_SCALE, OBSTACLE_SCALE];
+
+const obstacleDrawList = [];
+const obstacleShapeStart = OBSTACLE_SHAPES.map(() => 0); // First draw list index of each shape
+const obstacleShapeCount = OBSTACLE_SHAPES.map(() => 0);
+let instanceData = new Float32Array(64 * INSTANCE_STRIDE); // Grows, never shrinks
+let instanceBuffer = null;
+
+function compareObstacleDraws(a, b) {
+    return a.shape - b.shape || a.z - b.z;
+}
+
+// Orange warning as an obstacle nears the player (0.0 = far, 1.0 = very close)
+function getProximityFactor(obstacle) {
+    // Z-axis distance to the player only
+    const distance = Math.abs(obstacle.z - (renderCameraPos[2] + 0.5));
+    const proximityDistance = 4.0; // 8 times collision distance (0.5 * 8) - doubled from 2.0
+    const proximityFactor = Math.max(0.0, Math.min(1.0, 1.0 - (distance / proximityDistance)));
+    
+    // Apply 4x speed curve and saturate at 100%
+    return Math.pow(proximityFactor, 0.25); // 4x faster fade (1/4 power)
+}
+
+function updateObstacleInstances() {
+    const obstacles = simState.obstacles;
+    obstacleDrawList.length = 0;
+    for (let i = 0; i < obstacles.length; i++) {
+        obstacleDrawList.push(obstacles[i]);
+    }
+    obstacleDrawList.sort(compareObstacleDraws);
     
-    const positionLoc = gl.getAttribLocation(shaderProgram, 'a_position');
-    const normalLoc2 = gl.getAttribLocation(shaderProgram, 'a_normal');
-    const texCoordLoc = gl.getAttribLocation(shaderProgram, 'a_texCoord');
+    if (instanceData.length < obstacleDrawList.length * INSTANCE_STRIDE) {
+        instanceData = new Float32Array(obstacleDrawList.length * 2 * INSTANCE_STRIDE);
+    }
+    obstacleShapeCount.fill(0);
     
-    obstacles.forEach(obstacle => {
-        // Calculate distance to player for proximity-based color change (Z-axis only)
-        const dz = obstacle.z - (cameraPos[2] + 0.5);
-        const distance = Math.abs(dz); // Only Z-axis distance
-        
-        // Calculate proximity factor (0.0 = far, 1.0 = very close)
-        const proximityDistance = 4.0; // 8 times collision distance (0.5 * 8) - doubled from 2.0
-        let proximityFactor = Math.max(0.0, Math.min(1.0, 1.0 - (distance / proximityDistance)));
+    for (let i = 0; i < obstacleDrawList.length; i++) {
+        const obstacle = obstacleDrawList[i];
+        if (obstacleShapeCount[obstacle.shape]++ === 0) {
+            obstacleShapeStart[obstacle.shape] = i;
+        }
         
-        // Apply 4x speed curve and saturate at 100%
-        proximityFactor = Math.pow(proximityFactor, 0.25); // 4x faster fade (1/4 power)
+        setTunnelTransform(modelMatrix, obstacle.x, obstacle.y, obstacle.z);
+        // Obstacles spawned during the latest step have no previous rotation yet
+        const previousRotation = previousObstacleRotations.get(obstacle);
+        rotateX(modelMatrix, modelMatrix, previousRotation
+            ? lerp(previousRotation[0], obstacle.rotationX, renderAlpha) : obstacle.rotationX);
+        rotateY(modelMatrix, modelMatrix, previousRotation
+            ? lerp(previousRotation[1], obstacle.rotationY, renderAlpha) : obstacle.rotationY);
+        rotateZ(modelMatrix, modelMatrix, previousRotation
+            ? lerp(previousRotation[2], obstacle.rotationZ, renderAlpha) : obstacle.rotationZ);
+        scale(modelMatrix, modelMatrix, OBSTACLE_SCALE_VECTOR);
         
-        const modelMatrix = createMatrix4();
-        identity(modelMatrix);
-        translate(modelMatrix, modelMatrix, [obstacle.x, obstacle.y, obstacle.z]);
-        rotateX(modelMatrix, modelMatrix, obstacle.rotationX);
-        rotateY(modelMatrix, modelMatrix, obstacle.rotationY);
-        rotateZ(modelMatrix, modelMatrix, obstacle.rotationZ);
-        scale(modelMatrix, modelMatrix, [0.3, 0.3, 0.3]);
+        instanceData.set(modelMatrix, i * INSTANCE_STRIDE);
+        instanceData[i * INSTANCE_STRIDE + 16] = getProximityFactor(obstacle);
+    }
+    
+    if (instancing && obstacleDrawList.length > 0) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, instanceData, gl.DYNAMIC_DRAW);
+    }
+}
+
+// Point the per-instance attributes at the draw list from index start onwards;
+// there is no base instance in WebGL 1, so each shape's range needs its own offset
+function bindInstanceAttributes(attributes, start) {
+    gl.bindBuffer(gl.ARRAY_BUFFER, instanceBuffer);
+    for (let i = 0; i < INSTANCE_ATTRIBUTES.length; i++) {
+        const attribute = INSTANCE_ATTRIBUTES[i];
+        const location = attributes[attribute.name];
+        if (location === undefined) continue;
         
-        gl.uniformMatrix4fv(modelLoc, false, modelMatrix);
-        gl.uniformMatrix4fv(normalLoc, false, modelMatrix);
+        gl.enableVertexAttribArray(location);
+        gl.vertexAttribPointer(location, attribute.size, gl.FLOAT, false, INSTANCE_STRIDE * 4,
+            (start * INSTANCE_STRIDE + attribute.offset) * 4);
+        instancing.vertexAttribDivisorANGLE(location, 1);
+    }
+}
+
+// Divisors are global state, so reset them before any other program draws
+function unbindInstanceAttributes(attributes) {
+    for (let i = 0; i < INSTANCE_ATTRIBUTES.length; i++) {
+        const location = attributes[INSTANCE_ATTRIBUTES[i].name];
+        if (location === undefined) continue;
         
-        gl.bindBuffer(gl.ARRAY_BUFFER, obstacleBuffers[0].position);
-        gl.enableVertexAttribArray(positionLoc);
-        gl.vertexAttribPointer(positionLoc, 3, gl.FLOAT, false, 0, 0);
+        instancing.vertexAttribDivisorANGLE(location, 0);
+        gl.disableVertexAttribArray(location);
+    }
+}
+
+// One draw call per obstacle, for devices without instancing
+function drawObstaclesSeparately(uniforms, start, count, mode, indexCount) {
+    for (let i = start; i < start + count; i++) {
+        const offset = i * INSTANCE_STRIDE;
+        for (let j = 0; j < 16; j++) {
+            modelMatrix[j] = instanceData[offset + j];
+        }
         
-        gl.bindBuffer(gl.ARRAY_BUFFER, obstacleBuffers[0].normal);
-        gl.enableVertexAttribArray(normalLoc2);
-        gl.vertexAttribPointer(normalLoc2, 3, gl.FLOAT, false, 0, 0);
+        gl.uniformMatrix4fv(uniforms.u_modelMatrix, false, modelMatrix);
+        gl.uniformMatrix4fv(uniforms.u_normalMatrix, false, modelMatrix);
+        gl.uniform1f(uniforms.u_proximityFactor, instanceData[offset + 16]);
+        gl.drawElements(mode, indexCount, gl.UNSIGNED_SHORT, 0);
+    }
+}
+
+// instancedProgram: the INSTANCED variant of program, or null to draw one by one
+function renderObstacles(program = shaderProgram, instancedProgram = null) {
+    if (obstacleBuffers.length === 0 || obstacleDrawList.length === 0) return;
+    
+    const activeProgram = instancedProgram || program;
+    const uniforms = activeProgram.uniforms;
+    const attributes = activeProgram.attributes;
+    gl.useProgram(activeProgram);
+    
+    for (let shape = 0; shape < obstacleBuffers.length; shape++) {
+        const start = obstacleShapeStart[shape];
+        const count = obstacleShapeCount[shape];
+        if (count === 0) continue;
         
-        gl.bindBuffer(gl.ARRAY_BUFFER, obstacleBuffers[0].texCoord);
-        gl.enableVertexAttribArray(texCoordLoc);
-        gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+        const buffers = obstacleBuffers[shape];
+        bindAttribute(attributes.a_position, buffers.position, 3);
+        bindAttribute(attributes.a_normal, buffers.normal, 3);
+        bindAttribute(attributes.a_texCoord, buffers.texCoord, 2);
+        if (instancedProgram) {
+            bindInstanceAttributes(attributes, start);
+        }
         
-        // First pass: Draw filled polygons
-        gl.uniform1i(materialLoc, 1); // Metal material for faces
-        gl.uniform1f(proximityFactorLoc, proximityFactor); // Set proximity factor for metal shading
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obstacleBuffers[0].indices);
-        gl.drawElements(gl.TRIANGLES, obstacleBuffers[0].indexCount, gl.UNSIGNED_SHORT, 0);
+        // First pass: filled polygons in metal, then wireframe edges that turn orange
+        // with proximity (material 3 with a zero factor is the plain green wireframe)
+        gl.uniform1i(uniforms.u_materialType, 1);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indices);
+        if (instancedProgram) {
+            instancing.drawElementsInstancedANGLE(gl.TRIANGLES, buffers.indexCount, gl.UNSIGNED_SHORT, 0, count);
+        } else {
+            drawObstaclesSeparately(uniforms, start, count, gl.TRIANGLES, buffers.indexCount);
+        }
         
-        // Second pass: Draw wireframe edges with proximity-based color
-        if (obstacleBuffers[0].wireframeIndices) {
-            if (proximityFactor > 0.0) {
-                // Use orange wireframe material with proximity factor
-                gl.uniform1i(materialLoc, 3);
-                gl.uniform1f(proximityFactorLoc, proximityFactor);
+        if (buffers.wireframeIndices) {
+            gl.uniform1i(uniforms.u_materialType, 3);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.wireframeIndices);
+            if (instancedProgram) {
+                instancing.drawElementsInstancedANGLE(gl.LINES, buffers.wireframeIndexCount, gl.UNSIGNED_SHORT, 0, count);
             } else {
-                // Use standard green wireframe material
-                gl.uniform1i(materialLoc, 2);
-                gl.uniform1f(proximityFactorLoc, 0.0);
+                drawObstaclesSeparately(uniforms, start, count, gl.LINES, buffers.wireframeIndexCount);
             }
-            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, obstacleBuffers[0].wireframeIndices);
-            gl.drawElements(gl.LINES, obstacleBuffers[0].wireframeIndexCount, gl.UNSIGNED_SHORT, 0);
         }
-    });
+    }
+    
+    if (instancedProgram) {
+        unbindInstanceAttributes(attributes);
+        gl.useProgram(program);
+    }
+}
+
+const PICKUP_SCALE = 0.12;
+const PICKUP_SCALE_VECTOR = [PICKUP_SCALE, PICKUP_SCALE, PICKUP_SCALE];
+const PICKUP_PULSE_RATE = 0.00127; // Cycles per ms
+const PICKUP_COLORS = {
+    life: [1.0, 0.25, 0.4],
+    shield: [0.2, 0.8, 1.0],
+    multiplier: [1.0, 0.85, 0.1]
+};
+
+function renderPickups(program = shaderProgram) {
+    if (obstacleBuffers.length === 0 || simState.pickups.length === 0) return;
+    
+    const uniforms = program.uniforms;
+    const attributes = program.attributes;
+    
+    // Pickups share the octahedron mesh
+    const buffers = obstacleBuffers[2];
+    bindAttribute(attributes.a_position, buffers.position, 3);
+    bindAttribute(attributes.a_normal, buffers.normal, 3);
+    bindAttribute(attributes.a_texCoord, buffers.texCoord, 2);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, buffers.indices);
+    
+    gl.uniform1i(uniforms.u_materialType, 4);
+    
+    // Spin is purely cosmetic, so it comes from the sim clock rather than sim state
+    const spin = simState.time * 0.003;
+    
+    for (let i = 0; i < simState.pickups.length; i++) {
+        const pickup = simState.pickups[i];
+        setTunnelTransform(modelMatrix, pickup.x, pickup.y, pickup.z);
+        rotateY(modelMatrix, modelMatrix, spin);
+        rotateX(modelMatrix, modelMatrix, spin * 0.5);
+        scale(modelMatrix, modelMatrix, PICKUP_SCALE_VECTOR);
+        
+        gl.uniformMatrix4fv(uniforms.u_modelMatrix, false, modelMatrix);
+        gl.uniformMatrix4fv(uniforms.u_normalMatrix, false, modelMatrix);
+        
+        const color = PICKUP_COLORS[pickup.type];
+        gl.uniform3f(uniforms.u_pickupColor, color[0], color[1], color[2]);
+        
+        gl.drawElements(gl.TRIANGLES, buffers.indexCount, gl.UNSIGNED_SHORT, 0);
+    }
 }
 
-function renderPlayer() {
+const PLAYER_SCALE_VECTOR = [0.15, 0.15, 0.15];
+
+// solid draws the filled hull instead of the wireframe, for the shadow pass
+function renderPlayer(program = shaderProgram, solid = false) {
     if (!playerBuffer) return;
     
-    const modelLoc = gl.getUniformLocation(shaderProgram, 'u_modelMatrix');
-    const normalLoc = gl.getUniformLocation(shaderProgram, 'u_normalMatrix');
-    const materialLoc = gl.getUniformLocation(shaderProgram, 'u_materialType');
-    
-    const positionLoc = gl.getAttribLocation(shaderProgram, 'a_position');
-    const normalLoc2 = gl.getAttribLocation(shaderProgram, 'a_normal');
-    const texCoordLoc = gl.getAttribLocation(shaderProgram, 'a_texCoord');
-    
-    // Create model matrix for player (centered at camera position but slightly in front)
-    const modelMatrix = createMatrix4();
-    identity(modelMatrix);
+    const uniforms = program.uniforms;
+    const attributes = program.attributes;
     
     // Position player at camera position but slightly forward for visibility
-    translate(modelMatrix, modelMatrix, [0, gameState.playerY, cameraPos[2] + 0.5]);
+    setTunnelTransform(modelMatrix, renderPlayerX, renderPlayerY, renderCameraPos[2] + 0.5);
     
     // Scale down the fighter model
-    scale(modelMatrix, modelMatrix, [0.15, 0.15, 0.15]);
+    scale(modelMatrix, modelMatrix, PLAYER_SCALE_VECTOR);
     
     // Add slight banking effect based on movement
-    const bankingAngle = gameState.playerVelocity * 2; // Banking based on vertical velocity
-    rotateZ(modelMatrix, modelMatrix, bankingAngle);
+    const bankingAngle = simState.playerVelocity * 2; // Banking based on vertical velocity
+    const rollAngle = simState.playerVelocityX * 8; // Rolls into sideways moves
+    rotateZ(modelMatrix, modelMatrix, bankingAngle + rollAngle);
     
-    gl.uniformMatrix4fv(modelLoc, false, modelMatrix);
-    gl.uniformMatrix4fv(normalLoc, false, modelMatrix);
+    gl.uniformMatrix4fv(uniforms.u_modelMatrix, false, modelMatrix);
+    gl.uniformMatrix4fv(uniforms.u_normalMatrix, false, modelMatrix);
     
     // Bind player geometry
-    gl.bindBuffer(gl.ARRAY_BUFFER, playerBuffer.position);
-    gl.enableVertexAttribArray(positionLoc);
-    gl.vertexAttribPointer(positionLoc, 3, gl.FLOAT, false, 0, 0);
-    
-    gl.bindBuffer(gl.ARRAY_BUFFER, playerBuffer.normal);
-    gl.enableVertexAttribArray(normalLoc2);
-    gl.vertexAttribPointer(normalLoc2, 3, gl.FLOAT, false, 0, 0);
+    bindAttribute(attributes.a_position, playerBuffer.position, 3);
+    bindAttribute(attributes.a_normal, playerBuffer.normal, 3);
+    bindAttribute(attributes.a_texCoord, playerBuffer.texCoord, 2);
     
-    gl.bindBuffer(gl.ARRAY_BUFFER, playerBuffer.texCoord);
-    gl.enableVertexAttribArray(texCoordLoc);
-    gl.vertexAttribPointer(texCoordLoc, 2, gl.FLOAT, false, 0, 0);
+    if (solid) {
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, playerBuffer.indices);
+        gl.drawElements(gl.TRIANGLES, playerBuffer.indexCount, gl.UNSIGNED_SHORT, 0);
+        return;
+    }
     
     // Draw wireframe edges only in bright green
     if (playerBuffer.wireframeIndices) {
-        gl.uniform1i(materialLoc, 2); // Bright green wireframe material
+        gl.uniform1i(uniforms.u_materialType, 2); // Bright green wireframe material
         gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, playerBuffer.wireframeIndices);
         gl.drawElements(gl.LINES, playerBuffer.wireframeIndexCount, gl.UNSIGNED_SHORT, 0);
     }
 }
 
 // Main game loop
-let lastTime = 0;
+let lastTime = null;
+let accumulator = 0;
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Snapshot what render() interpolates from before each simulation step
+function savePreviousState() {
+    previousCameraPos[0] = cameraPos[0];
+    previousCameraPos[1] = cameraPos[1];
+    previousCameraPos[2] = cameraPos[2];
+    previousPlayerX = simState.playerX;
+    previousPlayerY = simState.playerY;
+    
+    // Each obstacle gets one array for its lifetime, overwritten every step
+    simState.obstacles.forEach(obstacle => {
+        let rotation = previousObstacleRotations.get(obstacle);
+        if (!rotation) {
+            rotation = [0, 0, 0];
+            previousObstacleRotations.set(obstacle, rotation);
+        }
+        rotation[0] = obstacle.rotationX;
+        rotation[1] = obstacle.rotationY;
+        rotation[2] = obstacle.rotationZ;
+    });
+}
+
 function gameLoop(currentTime) {
-    const deltaTime = currentTime - lastTime;
+    // First frame has no previous timestamp to measure against
+    if (lastTime === null) {
+        lastTime = currentTime;
+    }
+    
+    // Clamp long gaps so a background tab doesn't replay seconds of physics at once
+    const frameTime = Math.min(currentTime - lastTime, MAX_FRAME_TIME);
+    updateRenderScale(currentTime - lastTime);
     lastTime = currentTime;
     
-    updateGame(deltaTime);
-    render();
+    pollGamepads(currentTime);
+    
+    // While paused the simulation holds still; the leftover accumulator keeps the
+    // interpolated frame exactly where it stopped
+    if (gameState.paused) {
+        updateResumeCountdown(currentTime);
+    } else {
+        accumulator += frameTime;
+    }
+    
+    while (!gameState.paused && accumulator >= FIXED_TIMESTEP) {
+        savePreviousState();
+        updateGame(FIXED_TIMESTEP);
+        accumulator -= FIXED_TIMESTEP;
+    }
+    
+    updateObstacleAudio();
+    
+    // Draw calls on a lost context do nothing; skip the frame until it is restored
+    if (!contextLost) {
+        render(accumulator / FIXED_TIMESTEP);
+    }
     
     requestAnimationFrame(gameLoop);
 }
 
 // Initialize game
 function init() {
+    applyLanguage();
+    
     if (!initGL()) {
         return;
     }
@@ -1438,19 +5144,16 @@ function init() {
     // Initialize audio
     initAudio();
     
-    // Create shader program
-    shaderProgram = createProgram(vertexShaderSource, fragmentShaderSource);
-    if (!shaderProgram) {
+    if (!initGPUResources()) {
         return;
     }
-    
-    // Create geometry
-    tunnelBuffer = createTunnel();
-    obstacleBuffers.push(createIcosahedron());
-    playerBuffer = createFighter();
+    resetTunnel(simState.seed);
     
     // Setup input
     setupInput();
+    setupSimulationListeners();
+    setupInitialsEntry();
+    renderLeaderboard();
     
     // Canvas専用のコンテキストメニュー抑制
     canvas.addEventListener('contextmenu', (e) => {
@@ -1484,8 +5187,90 @@ function init() {
         toggleFullscreen();
     });
     
+    const ssaoBtn = document.getElementById('ssaoBtn');
+    ssaoBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        cycleSSAOQuality();
+    });
+    updateSSAOButton();
+    
+    const pauseBtn = document.getElementById('pauseBtn');
+    pauseBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        pauseGame();
+    });
+    
+    // Auto-pause when the player looks away
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('blur', pauseGame);
+    
+    const saveReplayBtn = document.getElementById('saveReplayBtn');
+    saveReplayBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        exportReplay();
+    });
+    
+    const replayFileInput = document.getElementById('replayFileInput');
+    replayFileInput.addEventListener('change', function() {
+        if (replayFileInput.files.length > 0) {
+            loadReplayFile(replayFileInput.files[0]);
+        }
+        replayFileInput.value = '';
+    });
+    
+    const loadReplayBtn = document.getElementById('loadReplayBtn');
+    loadReplayBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        replayFileInput.click();
+    });
+    
+    const controlModeBtn = document.getElementById('controlModeBtn');
+    controlModeBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        toggleControlMode();
+    });
+    updateControlModeDisplay();
+    
+    const rulesPresetBtn = document.getElementById('rulesPresetBtn');
+    rulesPresetBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        cycleRulesPreset();
+    });
+    setupCustomRules();
+    setupSettingsMenu();
+    applyAccessibilitySettings();
+    
+    const audioBtn = document.getElementById('audioBtn');
+    audioBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        toggleMute();
+    });
+    updateAudioButton();
+    
+    const languageBtn = document.getElementById('languageBtn');
+    languageBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        toggleLanguage();
+    });
+    
+    const copySeedBtn = document.getElementById('copySeedBtn');
+    copySeedBtn.addEventListener('click', function(e) {
+        e.stopPropagation();
+        e.preventDefault();
+        copySeedURL();
+    });
+    
     // Show title screen initially
     showTitleScreen();
+    playMusic('title');
     
     // Start game loop
     requestAnimationFrame(gameLoop);
@@ -1501,7 +5286,11 @@ function toggleFullscreen() {
         // Enter fullscreen
         const elem = document.documentElement;
         if (elem.requestFullscreen) {
-            elem.requestFullscreen();
+            // Rejected when not triggered by a click or key, e.g. from a gamepad button
+            const request = elem.requestFullscreen();
+            if (request) {
+                request.catch(error => console.warn('Fullscreen request refused:', error));
+            }
         } else if (elem.mozRequestFullScreen) {
             elem.mozRequestFullScreen();
         } else if (elem.webkitRequestFullscreen) {
@@ -1529,14 +5318,25 @@ function updateFullscreenButton() {
                         document.webkitFullscreenElement || document.msFullscreenElement;
     
     if (isFullscreen) {
-        btn.textContent = '⛶ Exit Fullscreen';
+        btn.textContent = t('exitFullscreen');
     } else {
-        btn.textContent = '⛶ Fullscreen';
+        btn.textContent = t('fullscreen');
+    }
+}
+
+// Leaving fullscreen mid-run (often via Escape) pauses the game
+function handleFullscreenChange() {
+    updateFullscreenButton();
+    
+    const isFullscreen = document.fullscreenElement || document.mozFullScreenElement || 
+                        document.webkitFullscreenElement || document.msFullscreenElement;
+    if (!isFullscreen) {
+        pauseGame();
     }
 }
 
 // Listen for fullscreen changes
-document.addEventListener('fullscreenchange', updateFullscreenButton);
-document.addEventListener('mozfullscreenchange', updateFullscreenButton);
-document.addEventListener('webkitfullscreenchange', updateFullscreenButton);
-document.addEventListener('msfullscreenchange', updateFullscreenButton);
+document.addEventListener('fullscreenchange', handleFullscreenChange);
+document.addEventListener('mozfullscreenchange', handleFullscreenChange);
+document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+document.addEventListener('msfullscreenchange', handleFullscreenChange);
@@ -0,0 +1,736 @@
+// Headless simulation core
+// All game rules live here: no DOM, WebGL, audio or localStorage access.
+// The browser build loads this as a plain script (window.TunnelSimulation);
+// Node can require() it to test rules or run bots faster than real time.
+(function(root) {
+    // Simulation step in milliseconds; movement constants are tuned per 60fps frame
+    const FIXED_TIMESTEP = 1000 / 60;
+
+    // Obstacles
+    // All five Platonic solids share the icosahedron's original circumradius so
+    // they read as the same obstacle size on screen
+    const OBSTACLE_CIRCUMRADIUS = Math.sqrt((5 + Math.sqrt(5)) / 2);
+    const OBSTACLE_SCALE = 0.3;
+    const PLAYER_HIT_RADIUS = 0.1; // Default sphere around the fighter used for obstacle hits
+
+    // Controls
+    // oneKey: hold to climb, release to fall. twoAxis: steer freely on X and Y,
+    // with the same acceleration and top speed as the one-key climb.
+    const CONTROL_MODES = ['oneKey', 'twoAxis'];
+
+    // Pickups
+    const PICKUP_TYPES = ['life', 'shield', 'multiplier'];
+    const PICKUP_RADIUS = 0.25;
+
+    // Game rules
+    // Every tunable gameplay number lives in a rules object carried by the state.
+    // Normal is the original tuning; Easy uses the design memo's 5%/10% damage.
+    // Per-frame values are tuned for 60fps, times are in ms.
+    const RULE_PRESETS = {
+        normal: {
+            maxLife: 100,
+            wallDamage: 10,
+            obstacleDamage: 20,
+            startSpeed: 0.02,
+            speedGain: 0.00001, // Forward speed added per ms survived
+            obstacleSpawnRate: 0.01, // Chance per step at 1.0x difficulty
+            difficultyScore: 1000, // Score that adds +1.0x difficulty
+            pickupSpawnRate: 0.002, // Chance per step, roughly one every eight seconds
+            lifeRestore: 25,
+            shieldDuration: 10000, // Or until it absorbs a hit
+            multiplierDuration: 10000,
+            scoreMultiplier: 2,
+            playerAcceleration: 0.002,
+            playerMaxSpeed: 0.06,
+            playerHitRadius: PLAYER_HIT_RADIUS,
+            wallMargin: 0.2 // Closest the fighter's centre gets to a wall
+        },
+        easy: {
+            wallDamage: 5,
+            obstacleDamage: 10,
+            startSpeed: 0.018,
+            speedGain: 0.000007,
+            obstacleSpawnRate: 0.007,
+            pickupSpawnRate: 0.003
+        },
+        hard: {
+            wallDamage: 15,
+            obstacleDamage: 25,
+            startSpeed: 0.025,
+            speedGain: 0.000015,
+            obstacleSpawnRate: 0.014,
+            difficultyScore: 800,
+            pickupSpawnRate: 0.0015
+        }
+    };
+    const RULE_PRESET_NAMES = ['easy', 'normal', 'hard', 'custom'];
+
+    // Full rules for a preset; presets and custom overrides only list what differs from Normal
+    function createRules(preset = 'normal', overrides = {}) {
+        const rules = Object.assign({}, RULE_PRESETS.normal, RULE_PRESETS[preset], overrides);
+        rules.preset = preset;
+        return rules;
+    }
+
+    // Tunnel layout
+    // Rules work in tunnel space: z runs along the centre line and x/y are offsets
+    // within the local cross-section. Bends only exist on screen, but the shape and
+    // width of the walls are rules, so they come from the seed like everything else.
+    const TUNNEL_SHAPES = ['square', 'octagon', 'round'];
+    const TUNNEL_SHAPE_SIDES = [4, 8, 0]; // 0: round
+    const TUNNEL_SECTION_LENGTH = 40; // Distance between cross-section keyframes
+    const TUNNEL_TRANSITION_LENGTH = 12; // Each section blends into the next over its last stretch
+    const TUNNEL_START_SECTIONS = 2; // Plain square sections before the layout varies
+    const TUNNEL_RADIUS = 2; // Inradius (centre to middle of a wall) of the plain tunnel
+    const TUNNEL_MIN_RADIUS = 1.5;
+    const TUNNEL_MAX_RADIUS = 2.6;
+    const SPAWN_MARGIN = 0.3; // Keeps spawned objects clear of the walls
+
+    // Some sections split into upper and lower lanes around a horizontal divider
+    const DIVIDER_CHANCE = 0.3;
+    const DIVIDER_HALF_THICKNESS = 0.15;
+    const DIVIDER_START = 8; // Offsets within the section, clear of the transition
+    const DIVIDER_END = 26;
+
+    // Seeded random number generator (mulberry32)
+    // Every gameplay roll goes through nextRandom() so a seed reproduces the whole run
+    function mulberry32(state) {
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            return mulberry32(state);
+        };
+    }
+
+    // Same sequence as createRandom(), with the generator state kept in the simulation
+    // state so it can be copied or serialized along with everything else
+    function nextRandom(state) {
+        state.randomState = (state.randomState + 0x6D2B79F5) >>> 0;
+        return mulberry32(state.randomState);
+    }
+
+    // Layout of one section; a pure function of seed and index so any distance can be looked up
+    function getSectionKeyframe(seed, index) {
+        if (index < TUNNEL_START_SECTIONS) {
+            return { shape: 0, radius: TUNNEL_RADIUS, divider: false };
+        }
+        
+        const random = createRandom(seed ^ Math.imul(index, 0x9E3779B1));
+        return {
+            shape: Math.floor(random() * TUNNEL_SHAPES.length),
+            radius: TUNNEL_MIN_RADIUS + random() * (TUNNEL_MAX_RADIUS - TUNNEL_MIN_RADIUS),
+            divider: random() < DIVIDER_CHANCE
+        };
+    }
+
+    // Cross-section at tunnel distance z, blended towards the next keyframe near its end
+    function getTunnelSection(seed, z) {
+        const index = Math.floor(z / TUNNEL_SECTION_LENGTH);
+        const offset = z - index * TUNNEL_SECTION_LENGTH;
+        const current = getSectionKeyframe(seed, index);
+        const next = getSectionKeyframe(seed, index + 1);
+        
+        const t = Math.max(0, (offset - (TUNNEL_SECTION_LENGTH - TUNNEL_TRANSITION_LENGTH)) / TUNNEL_TRANSITION_LENGTH);
+        const blend = t * t * (3 - 2 * t);
+        
+        return {
+            shapeFrom: current.shape,
+            shapeTo: next.shape,
+            blend: blend,
+            radius: current.radius + (next.radius - current.radius) * blend,
+            divider: current.divider && offset >= DIVIDER_START && offset <= DIVIDER_END
+        };
+    }
+
+    // Centre-to-wall distance of a shape with unit inradius, in direction angle
+    // Polygon faces are axis-aligned, so every shape reaches exactly 1 straight up/down/sideways
+    function getShapeExtent(shape, angle) {
+        const sides = TUNNEL_SHAPE_SIDES[shape];
+        if (sides === 0) return 1;
+        
+        const faceAngle = Math.PI * 2 / sides;
+        return 1 / Math.cos(angle - faceAngle * Math.round(angle / faceAngle));
+    }
+
+    function getWallDistance(section, angle) {
+        const from = getShapeExtent(section.shapeFrom, angle);
+        const to = getShapeExtent(section.shapeTo, angle);
+        return section.radius * (from + (to - from) * section.blend);
+    }
+
+    // Pull a spawn position in from the walls of the section it appears in
+    function fitToSection(section, object) {
+        const reach = Math.hypot(object.x, object.y);
+        const limit = getWallDistance(section, Math.atan2(object.y, object.x)) - SPAWN_MARGIN;
+        if (reach > limit) {
+            object.x *= limit / reach;
+            object.y *= limit / reach;
+        }
+        return object;
+    }
+
+    // Numeric seeds are used as-is, anything else is hashed (FNV-1a) so words work too
+    function parseSeed(value) {
+        if (/^\d+$/.test(value)) {
+            return parseInt(value, 10) >>> 0;
+        }
+        
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Small vector helpers for polyhedron construction and collision
+    function subtractVectors(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    function scaleVector(v, s) {
+        return [v[0] * s, v[1] * s, v[2] * s];
+    }
+
+    function dotVectors(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function crossVectors(a, b) {
+        return [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+    }
+
+    function normalizeVector(v) {
+        const length = Math.sqrt(dotVectors(v, v));
+        return length > 0 ? scaleVector(v, 1 / length) : [0, 0, 0];
+    }
+
+    function rotateVectorX(v, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        return [v[0], v[1] * c - v[2] * s, v[1] * s + v[2] * c];
+    }
+
+    function rotateVectorY(v, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        return [v[0] * c + v[2] * s, v[1], -v[0] * s + v[2] * c];
+    }
+
+    function rotateVectorZ(v, rad) {
+        const s = Math.sin(rad);
+        const c = Math.cos(rad);
+        return [v[0] * c - v[1] * s, v[0] * s + v[1] * c, v[2]];
+    }
+
+    // Platonic solid shapes
+    function createTetrahedron() {
+        const vertices = [
+            [1, 1, 1], [1, -1, -1], [-1, 1, -1], [-1, -1, 1]
+        ];
+        const faces = [
+            [0, 1, 2], [0, 3, 1], [0, 2, 3], [1, 3, 2]
+        ];
+        return createPolyhedronShape(vertices, faces);
+    }
+
+    function createCube() {
+        const vertices = [
+            [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+            [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]
+        ];
+        const faces = [
+            [0, 3, 2, 1], [4, 5, 6, 7], [0, 1, 5, 4],
+            [2, 3, 7, 6], [0, 4, 7, 3], [1, 2, 6, 5]
+        ];
+        return createPolyhedronShape(vertices, faces);
+    }
+
+    function createOctahedron() {
+        const vertices = [
+            [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]
+        ];
+        const faces = [
+            [0, 2, 4], [2, 1, 4], [1, 3, 4], [3, 0, 4],
+            [2, 0, 5], [1, 2, 5], [3, 1, 5], [0, 3, 5]
+        ];
+        return createPolyhedronShape(vertices, faces);
+    }
+
+    // The dodecahedron is the dual of the icosahedron: one vertex per icosahedron
+    // face, one pentagon per icosahedron vertex
+    function createDodecahedron() {
+        const icosahedron = createIcosahedron();
+        
+        const vertices = icosahedron.faces.map(face => {
+            const center = [0, 0, 0];
+            face.indices.forEach(index => {
+                const v = icosahedron.vertices[index];
+                center[0] += v[0] / face.indices.length;
+                center[1] += v[1] / face.indices.length;
+                center[2] += v[2] / face.indices.length;
+            });
+            return center;
+        });
+        
+        const faces = icosahedron.vertices.map((axis, vertexIndex) => {
+            // Faces around this vertex, ordered by angle about the vertex axis
+            const around = [];
+            icosahedron.faces.forEach((face, faceIndex) => {
+                if (face.indices.indexOf(vertexIndex) !== -1) {
+                    around.push(faceIndex);
+                }
+            });
+            
+            const reference = vertices[around[0]];
+            const tangent = normalizeVector(subtractVectors(reference, scaleVector(axis, dotVectors(reference, axis) / dotVectors(axis, axis))));
+            const bitangent = normalizeVector(crossVectors(axis, tangent));
+            
+            return around.sort((a, b) => {
+                const angleA = Math.atan2(dotVectors(vertices[a], bitangent), dotVectors(vertices[a], tangent));
+                const angleB = Math.atan2(dotVectors(vertices[b], bitangent), dotVectors(vertices[b], tangent));
+                return angleA - angleB;
+            });
+        });
+        
+        return createPolyhedronShape(vertices, faces);
+    }
+
+    function createIcosahedron() {
+        const t = (1.0 + Math.sqrt(5.0)) / 2.0;
+        
+        const vertices = [
+            [-1, t, 0], [1, t, 0], [-1, -t, 0], [1, -t, 0],
+            [0, -1, t], [0, 1, t], [0, -1, -t], [0, 1, -t],
+            [t, 0, -1], [t, 0, 1], [-t, 0, -1], [-t, 0, 1]
+        ];
+        
+        const faces = [
+            [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+            [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+            [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+            [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1]
+        ];
+        
+        return createPolyhedronShape(vertices, faces);
+    }
+
+    // Build a convex solid scaled to OBSTACLE_CIRCUMRADIUS, with every face wound
+    // counter-clockwise from outside and carrying its plane (outward normal + offset)
+    function createPolyhedronShape(rawVertices, rawFaces) {
+        let radius = 0;
+        rawVertices.forEach(v => {
+            radius = Math.max(radius, Math.sqrt(dotVectors(v, v)));
+        });
+        const vertices = rawVertices.map(v => scaleVector(v, OBSTACLE_CIRCUMRADIUS / radius));
+        
+        const faces = rawFaces.map(rawIndices => {
+            let indices = rawIndices.slice();
+            const v0 = vertices[indices[0]];
+            let normal = normalizeVector(crossVectors(
+                subtractVectors(vertices[indices[1]], v0),
+                subtractVectors(vertices[indices[2]], v0)
+            ));
+            
+            // The solid is centered on the origin, so outward normals point away from it
+            if (dotVectors(normal, v0) < 0) {
+                indices.reverse();
+                normal = scaleVector(normal, -1);
+            }
+            
+            return {
+                indices: indices,
+                normal: normal,
+                offset: dotVectors(normal, v0)
+            };
+        });
+        
+        return {
+            vertices: vertices,
+            faces: faces,
+            radius: OBSTACLE_CIRCUMRADIUS
+        };
+    }
+
+    // Obstacle shape index -> solid; the renderer builds one buffer set per entry
+    const OBSTACLE_SHAPES = [
+        createTetrahedron(),
+        createCube(),
+        createOctahedron(),
+        createDodecahedron(),
+        createIcosahedron()
+    ];
+
+    // Obstacle collision against the solid's actual faces
+    function distanceToSegment(p, a, b) {
+        const ab = subtractVectors(b, a);
+        const t = Math.max(0, Math.min(1, dotVectors(subtractVectors(p, a), ab) / dotVectors(ab, ab)));
+        const d = subtractVectors(p, [a[0] + ab[0] * t, a[1] + ab[1] * t, a[2] + ab[2] * t]);
+        return Math.sqrt(dotVectors(d, d));
+    }
+
+    // Distance from a local-space point to the surface of a convex polyhedron (0 when inside)
+    function distanceToPolyhedron(shape, p) {
+        let closest = Infinity;
+        let inside = true;
+        
+        shape.faces.forEach(face => {
+            const planeDistance = dotVectors(face.normal, p) - face.offset;
+            if (planeDistance <= 0) return; // Only faces the point is in front of can be closest
+            inside = false;
+            
+            // Point projects inside the polygon: the plane distance is exact
+            const projected = subtractVectors(p, scaleVector(face.normal, planeDistance));
+            let withinPolygon = true;
+            face.indices.forEach((index, i) => {
+                const a = shape.vertices[index];
+                const b = shape.vertices[face.indices[(i + 1) % face.indices.length]];
+                const edgeCross = crossVectors(subtractVectors(b, a), subtractVectors(projected, a));
+                if (dotVectors(edgeCross, face.normal) < 0) {
+                    withinPolygon = false;
+                }
+            });
+            
+            if (withinPolygon) {
+                closest = Math.min(closest, planeDistance);
+                return;
+            }
+            
+            // Otherwise the closest point lies on one of the polygon's edges
+            face.indices.forEach((index, i) => {
+                const a = shape.vertices[index];
+                const b = shape.vertices[face.indices[(i + 1) % face.indices.length]];
+                closest = Math.min(closest, distanceToSegment(p, a, b));
+            });
+        });
+        
+        return inside ? 0 : closest;
+    }
+
+    function obstacleHitsPlayer(obstacle, playerPos, hitRadius = PLAYER_HIT_RADIUS) {
+        const shape = OBSTACLE_SHAPES[obstacle.shape];
+        const offset = subtractVectors(playerPos, [obstacle.x, obstacle.y, obstacle.z]);
+        
+        // Broad phase against the bounding sphere
+        const reach = shape.radius * OBSTACLE_SCALE + hitRadius;
+        if (dotVectors(offset, offset) > reach * reach) return false;
+        
+        // Undo the model transform (translate, rotateX, rotateY, rotateZ, scale) in reverse
+        let local = rotateVectorX(offset, -obstacle.rotationX);
+        local = rotateVectorY(local, -obstacle.rotationY);
+        local = rotateVectorZ(local, -obstacle.rotationZ);
+        local = scaleVector(local, 1 / OBSTACLE_SCALE);
+        
+        return distanceToPolyhedron(shape, local) < hitRadius / OBSTACLE_SCALE;
+    }
+
+    // Simulation state
+    // options: { controlMode: 'oneKey'|'twoAxis', rules: createRules() result }
+    function createSimulation(seed, options = {}) {
+        const rules = options.rules || createRules();
+        return {
+            seed: seed >>> 0,
+            controlMode: options.controlMode || 'oneKey',
+            rules: rules,
+            randomState: seed >>> 0,
+            step: 0,
+            time: 0,
+            life: rules.maxLife,
+            hits: 0, // Damaging hits taken; shielded hits don't count
+            score: 0,
+            speed: rules.startSpeed,
+            distance: 0, // Camera Z; the fighter flies 0.5 ahead of it
+            scoreProgress: 0, // Unrounded score, so multiplied stretches add up exactly
+            playerX: 0, // Tunnel space; +x is on the left of the screen
+            playerY: 0,
+            playerVelocityX: 0,
+            playerVelocity: 0, // Vertical
+            obstacles: [],
+            pickups: [],
+            shieldTime: 0, // Remaining shield in ms, 0 when unshielded
+            multiplierTime: 0, // Remaining score multiplier in ms
+            gameOver: false
+        };
+    }
+
+    // Difficulty multiplier based on score
+    function getDifficultyMultiplier(state) {
+        const progressFactor = state.score / state.rules.difficultyScore;
+        return 1 + progressFactor;
+    }
+
+    function getPlayerPosition(state) {
+        return [state.playerX, state.playerY, state.distance + 0.5];
+    }
+
+    function getScoreMultiplier(state) {
+        return state.multiplierTime > 0 ? state.rules.scoreMultiplier : 1;
+    }
+
+    // Apply damage unless a shield is up; a shield absorbs exactly one hit
+    function takeHit(state, damage, source, events) {
+        if (state.shieldTime > 0) {
+            state.shieldTime = 0;
+            events.push({ type: 'shieldBlocked', source: source });
+            return false;
+        }
+        
+        state.life = Math.max(0, state.life - damage);
+        state.hits++;
+        return true;
+    }
+
+    function collectPickup(state, pickup, events) {
+        if (pickup.type === 'life') {
+            state.life = Math.min(state.rules.maxLife, state.life + state.rules.lifeRestore);
+        } else if (pickup.type === 'shield') {
+            state.shieldTime = state.rules.shieldDuration;
+        } else if (pickup.type === 'multiplier') {
+            state.multiplierTime = state.rules.multiplierDuration;
+        }
+        
+        events.push({ type: 'pickup', pickupType: pickup.type, pickup: pickup });
+    }
+
+    // Count down timed effects, reporting the ones that run out this step
+    function updateEffects(state, deltaTime, events) {
+        if (state.shieldTime > 0) {
+            state.shieldTime = Math.max(0, state.shieldTime - deltaTime);
+            if (state.shieldTime === 0) {
+                events.push({ type: 'effectExpired', effect: 'shield' });
+            }
+        }
+        
+        if (state.multiplierTime > 0) {
+            state.multiplierTime = Math.max(0, state.multiplierTime - deltaTime);
+            if (state.multiplierTime === 0) {
+                events.push({ type: 'effectExpired', effect: 'multiplier' });
+            }
+        }
+    }
+
+    // Steer one axis: accelerate along steer (-1..1), or ease back to a stop without it
+    function steerVelocity(rules, velocity, steer, frames) {
+        if (steer !== 0) {
+            velocity += rules.playerAcceleration * steer * frames;
+        } else if (velocity > 0) {
+            velocity = Math.max(0, velocity - rules.playerAcceleration * frames);
+        } else {
+            velocity = Math.min(0, velocity + rules.playerAcceleration * frames);
+        }
+        return Math.max(-rules.playerMaxSpeed, Math.min(rules.playerMaxSpeed, velocity));
+    }
+
+    // Advance one step, deltaTime in milliseconds. input depends on the control mode:
+    //   oneKey: { ascend: 0..1 }   twoAxis: { steerX: -1..1, steerY: -1..1 }
+    // Mutates and returns the state together with what happened during the step:
+    //   { type: 'wallHit', side: 'top'|'bottom'|'left'|'right'|'divider' }
+    //   { type: 'obstacleHit', obstacle }
+    //   { type: 'shieldBlocked', source: 'wall'|'obstacle' }
+    //   { type: 'pickup', pickupType, pickup }
+    //   { type: 'effectExpired', effect: 'shield'|'multiplier' }
+    //   { type: 'gameOver' }
+    function stepSimulation(state, input, deltaTime) {
+        const events = [];
+        if (state.gameOver) {
+            return { state: state, events: events };
+        }
+        
+        const rules = state.rules;
+        
+        const frames = deltaTime / 16.67; // Normalize to 60fps
+        state.time += deltaTime;
+        state.step++;
+        
+        updateEffects(state, deltaTime, events);
+        
+        // Player movement
+        if (state.controlMode === 'twoAxis') {
+            state.playerVelocityX = steerVelocity(rules, state.playerVelocityX, input.steerX || 0, frames);
+            state.playerVelocity = steerVelocity(rules, state.playerVelocity, input.steerY || 0, frames);
+        } else {
+            // Analog thrust: 1 climbs, 0 falls, in between scales the acceleration
+            const thrust = Number(input.ascend) || 0;
+            state.playerVelocity += rules.playerAcceleration * (2 * thrust - 1) * frames;
+        }
+        
+        state.playerVelocity = Math.max(-rules.playerMaxSpeed, Math.min(rules.playerMaxSpeed, state.playerVelocity));
+        state.playerX += state.playerVelocityX * frames;
+        state.playerY += state.playerVelocity * frames;
+        
+        // Wall collision against the cross-section around the fighter
+        const position = getPlayerPosition(state);
+        const section = getTunnelSection(state.seed, position[2]);
+        const reach = Math.hypot(position[0], position[1]);
+        const wallLimit = getWallDistance(section, Math.atan2(position[1], position[0])) - rules.wallMargin;
+        const dividerLimit = DIVIDER_HALF_THICKNESS + rules.wallMargin;
+        
+        if (reach > wallLimit) {
+            let side;
+            if (Math.abs(state.playerY) >= Math.abs(state.playerX)) {
+                side = state.playerY > 0 ? 'top' : 'bottom';
+            } else {
+                side = state.playerX > 0 ? 'left' : 'right';
+            }
+            if (takeHit(state, rules.wallDamage, 'wall', events)) {
+                events.push({ type: 'wallHit', side: side });
+            }
+            
+            // Bounce straight back towards the centre line at full speed
+            state.playerVelocityX = -rules.playerMaxSpeed * state.playerX / reach;
+            state.playerVelocity = -rules.playerMaxSpeed * state.playerY / reach;
+            
+            // Keep player within bounds
+            state.playerX *= wallLimit / reach;
+            state.playerY *= wallLimit / reach;
+        } else if (section.divider && Math.abs(state.playerY) < dividerLimit) {
+            // Bounce back into whichever lane the fighter is in
+            if (takeHit(state, rules.wallDamage, 'wall', events)) {
+                events.push({ type: 'wallHit', side: 'divider' });
+            }
+            
+            const lane = state.playerY >= 0 ? 1 : -1;
+            state.playerVelocity = rules.playerMaxSpeed * lane;
+            state.playerY = dividerLimit * lane;
+        }
+        
+        // Move forward
+        state.distance += state.speed * frames;
+        
+        // Update score
+        state.scoreProgress += state.speed * frames * 10 * getScoreMultiplier(state);
+        state.score = Math.floor(state.scoreProgress);
+        
+        // Increase speed over time
+        state.speed = rules.startSpeed + state.time * rules.speedGain;
+        
+        // Spawn obstacles with increasing frequency based on progress
+        const currentSpawnRate = rules.obstacleSpawnRate * getDifficultyMultiplier(state);
+        
+        const spawnZ = state.distance + 40;
+        const spawnSection = getTunnelSection(state.seed, spawnZ);
+        const spawnSpread = spawnSection.radius / TUNNEL_RADIUS;
+        
+        if (nextRandom(state) < currentSpawnRate) {
+            state.obstacles.push(fitToSection(spawnSection, {
+                x: (nextRandom(state) - 0.5) * 3 * spawnSpread,
+                y: (nextRandom(state) - 0.5) * 3 * spawnSpread,
+                z: spawnZ,
+                rotationX: nextRandom(state) * Math.PI * 2,
+                rotationY: nextRandom(state) * Math.PI * 2,
+                rotationZ: nextRandom(state) * Math.PI * 2,
+                shape: Math.floor(nextRandom(state) * OBSTACLE_SHAPES.length),
+                rotationSpeedX: (nextRandom(state) - 0.5) * 0.004 * 16,
+                rotationSpeedY: (nextRandom(state) - 0.5) * 0.004 * 16,
+                rotationSpeedZ: (nextRandom(state) - 0.5) * 0.004 * 16
+            }));
+        }
+        
+        // Pickups spawn from their own roll alongside obstacles
+        if (nextRandom(state) < rules.pickupSpawnRate) {
+            state.pickups.push(fitToSection(spawnSection, {
+                type: PICKUP_TYPES[Math.floor(nextRandom(state) * PICKUP_TYPES.length)],
+                // One-key fighters only move vertically, so theirs stay on the flight line
+                x: state.controlMode === 'twoAxis' ? (nextRandom(state) - 0.5) * 3 * spawnSpread : 0,
+                y: (nextRandom(state) - 0.5) * 3 * spawnSpread,
+                z: spawnZ
+            }));
+        }
+        
+        // Update obstacles
+        const playerPos = getPlayerPosition(state);
+        state.obstacles = state.obstacles.filter(obstacle => {
+            obstacle.rotationX += obstacle.rotationSpeedX * frames;
+            obstacle.rotationY += obstacle.rotationSpeedY * frames;
+            obstacle.rotationZ += obstacle.rotationSpeedZ * frames;
+            
+            if (obstacleHitsPlayer(obstacle, playerPos, rules.playerHitRadius)) {
+                if (takeHit(state, rules.obstacleDamage, 'obstacle', events)) {
+                    events.push({ type: 'obstacleHit', obstacle: obstacle });
+                }
+                return false;
+            }
+            
+            // Remove obstacles behind camera
+            return obstacle.z >= state.distance - 5;
+        });
+        
+        // Update pickups
+        const pickupReach = PICKUP_RADIUS + rules.playerHitRadius;
+        state.pickups = state.pickups.filter(pickup => {
+            const offset = subtractVectors(playerPos, [pickup.x, pickup.y, pickup.z]);
+            if (dotVectors(offset, offset) < pickupReach * pickupReach) {
+                collectPickup(state, pickup, events);
+                return false;
+            }
+            
+            return pickup.z >= state.distance - 5;
+        });
+        
+        // Check game over
+        if (state.life <= 0) {
+            state.gameOver = true;
+            events.push({ type: 'gameOver' });
+        }
+        
+        return { state: state, events: events };
+    }
+
+    // Run until game over (or maxSteps) without rendering, e.g. for bots or
+    // verifying replays. getInput(state) returns the input for the next step.
+    function runSimulation(state, getInput, maxSteps = Infinity) {
+        const events = [];
+        
+        while (!state.gameOver && state.step < maxSteps) {
+            const result = stepSimulation(state, getInput(state), FIXED_TIMESTEP);
+            result.events.forEach(event => events.push(event));
+        }
+        
+        return { state: state, events: events };
+    }
+
+    const TunnelSimulation = {
+        FIXED_TIMESTEP: FIXED_TIMESTEP,
+        OBSTACLE_SCALE: OBSTACLE_SCALE,
+        OBSTACLE_SHAPES: OBSTACLE_SHAPES,
+        PLAYER_HIT_RADIUS: PLAYER_HIT_RADIUS,
+        CONTROL_MODES: CONTROL_MODES,
+        PICKUP_TYPES: PICKUP_TYPES,
+        PICKUP_RADIUS: PICKUP_RADIUS,
+        RULE_PRESETS: RULE_PRESETS,
+        RULE_PRESET_NAMES: RULE_PRESET_NAMES,
+        TUNNEL_SHAPES: TUNNEL_SHAPES,
+        TUNNEL_SECTION_LENGTH: TUNNEL_SECTION_LENGTH,
+        DIVIDER_HALF_THICKNESS: DIVIDER_HALF_THICKNESS,
+        createRandom: createRandom,
+        createRules: createRules,
+        parseSeed: parseSeed,
+        createSimulation: createSimulation,
+        stepSimulation: stepSimulation,
+        runSimulation: runSimulation,
+        getDifficultyMultiplier: getDifficultyMultiplier,
+        getPlayerPosition: getPlayerPosition,
+        getScoreMultiplier: getScoreMultiplier,
+        getTunnelSection: getTunnelSection,
+        getWallDistance: getWallDistance,
+        obstacleHitsPlayer: obstacleHitsPlayer,
+        distanceToPolyhedron: distanceToPolyhedron
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TunnelSimulation;
+    } else {
+        root.TunnelSimulation = TunnelSimulation;
+    }
+})(this);